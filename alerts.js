@@ -0,0 +1,81 @@
+// alerts.js
+// Decodes GTFS-realtime Alert entities (MTA subway alerts feed) into plain JSON and filters them.
+//
+// Usage:
+//   const alerts = decodeAlerts(feedMessage);
+//   filterAlerts(alerts, { routes: ["A"], stopIds: ["A27"], activeNow: true });
+
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import { toNum } from "./numbers.js";
+
+const { Alert } = GtfsRealtimeBindings.transit_realtime;
+
+function translations(ts) {
+  return (ts?.translation || [])
+    .filter((t) => t.text)
+    .map((t) => ({ language: t.language || "", text: t.text }));
+}
+
+// Prefer plain English; MTA also sends "en-html" variants
+function pickText(list) {
+  const plain = list.find((t) => !t.language || t.language === "en");
+  return (plain || list[0])?.text || "";
+}
+
+// "635N" / "635S" -> "635" so platform and station ids compare equal
+function stationOf(stopId) {
+  return String(stopId || "").replace(/[NS]$/i, "");
+}
+
+export function decodeAlerts(feed) {
+  const out = [];
+  for (const entity of feed?.entity || []) {
+    const a = entity.alert;
+    if (!a) continue;
+
+    const header = translations(a.headerText);
+    const description = translations(a.descriptionText);
+
+    out.push({
+      id: entity.id,
+      cause: a.cause != null ? Alert.Cause[a.cause] || String(a.cause) : null,
+      effect: a.effect != null ? Alert.Effect[a.effect] || String(a.effect) : null,
+      header: pickText(header),
+      description: pickText(description),
+      translations: { header, description },
+      activePeriods: (a.activePeriod || []).map((p) => ({ start: toNum(p.start), end: toNum(p.end) })),
+      informedEntities: (a.informedEntity || []).map((e) => ({
+        agencyId: e.agencyId || null,
+        routeId: e.routeId ? String(e.routeId).toUpperCase() : e.trip?.routeId ? String(e.trip.routeId).toUpperCase() : null,
+        stopId: e.stopId || null,
+        tripId: e.trip?.tripId || null,
+      })),
+    });
+  }
+  return out;
+}
+
+// No active periods means "active until removed from the feed"
+export function isActive(alert, nowSec = Math.floor(Date.now() / 1000)) {
+  if (!alert.activePeriods.length) return true;
+  return alert.activePeriods.some((p) => (!p.start || p.start <= nowSec) && (!p.end || nowSec < p.end));
+}
+
+// routes / stopIds: match if any informed entity mentions one of them (stops match at station level).
+// By default both filters must match; with matchAny an alert passes if either does.
+export function filterAlerts(alerts, { routes = [], stopIds = [], activeNow = false, matchAny = false, now } = {}) {
+  const routeSet = new Set(routes.map((r) => String(r).trim().toUpperCase()).filter(Boolean));
+  const stationSet = new Set(stopIds.map(stationOf).filter(Boolean));
+  const nowSec = now ?? Math.floor(Date.now() / 1000);
+
+  return alerts.filter((a) => {
+    if (activeNow && !isActive(a, nowSec)) return false;
+
+    const checks = [];
+    if (routeSet.size) checks.push(a.informedEntities.some((e) => e.routeId && routeSet.has(e.routeId)));
+    if (stationSet.size) checks.push(a.informedEntities.some((e) => e.stopId && stationSet.has(stationOf(e.stopId))));
+    if (!checks.length) return true;
+
+    return matchAny ? checks.some(Boolean) : checks.every(Boolean);
+  });
+}
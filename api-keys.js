@@ -0,0 +1,243 @@
+// api-keys.js
+// Client API keys from a local JSON file, with a token bucket per key (and per IP for keyless
+// clients) and usage counters for the admin route. Without a keys file the proxy stays open.
+//
+// Keys file (api-keys.json):
+//   {
+//     "anonymous": { "ratePerMinute": 30, "burst": 20 },   // keyless access (HTML UI + its API calls),
+//                                                          // limited per client IP; omit to require a key
+//     "keys": [
+//       { "key": "s3cret", "name": "lobby-tv", "ratePerMinute": 120, "burst": 60 },
+//       { "key": "adm1n", "name": "ops", "admin": true, "dailyLimit": 50000 }
+//     ]
+//   }
+//
+// Clients send the key as an x-api-key header, "Authorization: Bearer <key>" or ?apiKey=<key>
+// (EventSource and WebSocket can't set headers). A key given in the query string is also stored in
+// a cookie, so a page opened with ?apiKey= keeps working for its own API calls.
+//
+// Usage:
+//   const auth = createApiKeyAuth({ file: "./api-keys.json" });
+//   app.use("/api", auth.middleware());
+//   auth.check(req); // { ok: true, client } | { ok: false, status, error, retryAfter }
+//   auth.usage();    // [{ name, key, requests, limited, ... }]
+//   auth.describe(); // "2 key(s) configured, anonymous access on" (for the startup log)
+
+import fs from "node:fs";
+
+const COOKIE_NAME = "mta_api_key";
+const DEFAULT_RATE_PER_MINUTE = 60;
+const DEFAULT_BURST = 30;
+const ANONYMOUS_IDLE_MS = 60 * 60 * 1000; // forget per-IP buckets after an hour of silence
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0 && part.slice(0, i).trim() === name) return decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return "";
+}
+
+// -> { key, from: "header" | "query" | "cookie" }
+function presentedKey(req) {
+  const header = req.headers["x-api-key"];
+  if (header) return { key: String(header).trim(), from: "header" };
+  const bearer = String(req.headers.authorization || "").match(/^Bearer\s+(.+)$/i);
+  if (bearer) return { key: bearer[1].trim(), from: "header" };
+
+  const url = new URL(req.originalUrl || req.url || "/", "http://x");
+  const q = url.searchParams.get("apiKey");
+  if (q) return { key: q.trim(), from: "query" };
+  return { key: readCookie(req, COOKIE_NAME), from: "cookie" };
+}
+
+// "s3cretkey123" -> "s3cr…123" (usage output never shows whole keys)
+function maskKey(key) {
+  key = String(key);
+  return key.length <= 8 ? key.slice(0, 2) + "…" : key.slice(0, 4) + "…" + key.slice(-3);
+}
+
+function limitsOf(o = {}) {
+  const ratePerMinute = Number(o.ratePerMinute) > 0 ? Number(o.ratePerMinute) : DEFAULT_RATE_PER_MINUTE;
+  const burst = Number(o.burst) > 0 ? Number(o.burst) : Math.max(DEFAULT_BURST, Math.ceil(ratePerMinute / 2));
+  const dailyLimit = Number(o.dailyLimit) > 0 ? Number(o.dailyLimit) : null;
+  return { ratePerMinute, burst, dailyLimit };
+}
+
+function parseConfig(text) {
+  const raw = JSON.parse(text);
+  const keys = new Map();
+  for (const k of Array.isArray(raw?.keys) ? raw.keys : []) {
+    if (!k?.key) continue;
+    const key = String(k.key);
+    if (keys.has(key)) throw new Error(`Duplicate API key for "${k.name || maskKey(key)}"`);
+    keys.set(key, { key, name: String(k.name || maskKey(key)), admin: !!k.admin, ...limitsOf(k) });
+  }
+  const anonymous = raw?.anonymous ? { name: "anonymous", admin: false, ...limitsOf(raw.anonymous) } : null;
+  return { keys, anonymous };
+}
+
+export function createApiKeyAuth({ file, watchIntervalMs = 5000, now = () => Date.now() }) {
+  let config = null; // null = no keys file, everything open
+
+  // bucket id ("key:<key>" / "ip:<addr>") -> { tokens, updatedAt, day, dayCount }
+  const buckets = new Map();
+  // bucket id for keys, "anonymous" for all keyless clients -> { requests, limited, lastRequestAt }
+  const stats = new Map();
+
+  function load() {
+    if (!fs.existsSync(file)) {
+      if (config) console.log(`API keys: ${file} removed, access is open`);
+      config = null;
+      return;
+    }
+    try {
+      config = parseConfig(fs.readFileSync(file, "utf8"));
+      console.log(
+        `API keys: ${config.keys.size} key(s) loaded, anonymous access ${config.anonymous ? "rate limited" : "disabled"}`
+      );
+    } catch (err) {
+      // Keep the previous keys rather than locking everyone out (or opening everything up)
+      console.error(`API keys: failed to load ${file}: ${err.message}`);
+    }
+  }
+
+  // Refill, then try to take one token; also enforces the optional per-day cap (UTC days)
+  function take(id, limits) {
+    const t = now();
+    const day = new Date(t).toISOString().slice(0, 10);
+    let b = buckets.get(id);
+    if (!b) buckets.set(id, (b = { tokens: limits.burst, updatedAt: t, day, dayCount: 0 }));
+
+    b.tokens = Math.min(limits.burst, b.tokens + ((t - b.updatedAt) / 60000) * limits.ratePerMinute);
+    b.updatedAt = t;
+    if (b.day !== day) {
+      b.day = day;
+      b.dayCount = 0;
+    }
+
+    if (limits.dailyLimit && b.dayCount >= limits.dailyLimit) {
+      const midnight = Date.UTC(new Date(t).getUTCFullYear(), new Date(t).getUTCMonth(), new Date(t).getUTCDate() + 1);
+      return { ok: false, error: "Daily quota exceeded", retryAfter: Math.ceil((midnight - t) / 1000) };
+    }
+    if (b.tokens < 1) {
+      return { ok: false, error: "Rate limit exceeded", retryAfter: Math.ceil(((1 - b.tokens) * 60) / limits.ratePerMinute) };
+    }
+    b.tokens -= 1;
+    b.dayCount++;
+    return { ok: true, remaining: Math.floor(b.tokens) };
+  }
+
+  function record(id, limited) {
+    let s = stats.get(id);
+    if (!s) stats.set(id, (s = { requests: 0, limited: 0, lastRequestAt: null }));
+    s.requests++;
+    if (limited) s.limited++;
+    s.lastRequestAt = now();
+  }
+
+  function pruneAnonymous() {
+    const t = now();
+    for (const [id, b] of buckets) {
+      if (id.startsWith("ip:") && t - b.updatedAt > ANONYMOUS_IDLE_MS) buckets.delete(id);
+    }
+  }
+
+  // -> { ok: true, client, key, fromQuery, remaining } | { ok: false, status, error, retryAfter? }
+  function check(req) {
+    if (!config) return { ok: true, client: null };
+
+    const { key, from } = presentedKey(req);
+    const client = key ? config.keys.get(key) : null;
+    // A revoked key left in the cookie falls back to keyless access instead of locking the page out
+    if (key && !client && from !== "cookie") return { ok: false, status: 401, error: "Invalid API key" };
+    if (client) {
+      const r = take(`key:${key}`, client);
+      record(`key:${key}`, !r.ok);
+      return r.ok ? { ok: true, client, key, fromQuery: from === "query", remaining: r.remaining } : { status: 429, ...r };
+    }
+
+    if (!config.anonymous) {
+      return { ok: false, status: 401, error: "API key required (x-api-key header or ?apiKey=)" };
+    }
+    if (buckets.size > 1000) pruneAnonymous();
+    const ip = req.ip || req.socket?.remoteAddress || "unknown";
+    const r = take(`ip:${ip}`, config.anonymous);
+    record("anonymous", !r.ok);
+    return r.ok ? { ok: true, client: config.anonymous, remaining: r.remaining } : { status: 429, ...r };
+  }
+
+  // Express middleware; html: true answers rejections with a short text page instead of JSON
+  function middleware({ html = false } = {}) {
+    return (req, res, next) => {
+      const result = check(req);
+      if (!result.ok) {
+        if (result.retryAfter != null) res.set("Retry-After", String(result.retryAfter));
+        const body = { error: result.error, ...(result.retryAfter != null ? { retryAfterSeconds: result.retryAfter } : {}) };
+        if (html) return res.status(result.status).type("text").send(`${result.error}. Open this page with ?apiKey=<your key>.`);
+        return res.status(result.status).json(body);
+      }
+
+      req.apiClient = result.client;
+      if (result.remaining != null) res.set("X-RateLimit-Remaining", String(result.remaining));
+      if (result.fromQuery) res.cookie(COOKIE_NAME, result.key, { httpOnly: true, sameSite: "strict" });
+      next();
+    };
+  }
+
+  function usage() {
+    const t = now();
+    const rows = [];
+    for (const client of config ? config.keys.values() : []) {
+      const s = stats.get(`key:${client.key}`);
+      const b = buckets.get(`key:${client.key}`);
+      const tokens = b ? Math.min(client.burst, b.tokens + ((t - b.updatedAt) / 60000) * client.ratePerMinute) : client.burst;
+      rows.push({
+        name: client.name,
+        key: maskKey(client.key),
+        admin: client.admin,
+        ratePerMinute: client.ratePerMinute,
+        burst: client.burst,
+        dailyLimit: client.dailyLimit,
+        tokensAvailable: Math.floor(tokens),
+        requestsToday: b && b.day === new Date(t).toISOString().slice(0, 10) ? b.dayCount : 0,
+        requests: s?.requests || 0,
+        limited: s?.limited || 0,
+        lastRequestAt: s?.lastRequestAt ? new Date(s.lastRequestAt).toISOString() : null,
+      });
+    }
+    if (config?.anonymous) {
+      const s = stats.get("anonymous");
+      rows.push({
+        name: "anonymous",
+        key: null,
+        ratePerMinute: config.anonymous.ratePerMinute,
+        burst: config.anonymous.burst,
+        perClient: true,
+        clients: Array.from(buckets.keys()).filter((id) => id.startsWith("ip:")).length,
+        requests: s?.requests || 0,
+        limited: s?.limited || 0,
+        lastRequestAt: s?.lastRequestAt ? new Date(s.lastRequestAt).toISOString() : null,
+      });
+    }
+    return rows;
+  }
+
+  function describe() {
+    if (!config) return "no keys file, public access enabled";
+    return `${config.keys.size} key(s) configured, anonymous access ${config.anonymous ? "on (rate limited)" : "off"}`;
+  }
+
+  load();
+  // Pick up new or revoked keys without a restart
+  fs.watchFile(file, { interval: watchIntervalMs, persistent: false }, load);
+
+  return {
+    enabled: () => !!config,
+    check,
+    middleware,
+    usage,
+    describe,
+    stop: () => fs.unwatchFile(file, load),
+  };
+}
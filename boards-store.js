@@ -0,0 +1,132 @@
+// boards-store.js
+// Saved boards: named presets of station, direction and lines, kept in a JSON file so they survive
+// restarts. Each board is addressed by a slug derived from its name ("Morning commute" ->
+// "morning-commute", then "morning-commute-2", ...).
+//
+// Usage:
+//   const boards = createBoardStore({ file: "./boards.json" });
+//   const b = boards.create({ name: "Work", stationId: "complex-127", dir: "S", lines: ["1"] });
+//   boards.get(b.slug); boards.update(b.slug, { lines: [] }); boards.remove(b.slug);
+//
+// Invalid input throws an Error with status = 400; unknown slugs return null.
+
+import fs from "node:fs";
+import path from "node:path";
+
+const MAX_NAME_LENGTH = 80;
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+export function slugify(name) {
+  return (
+    String(name || "")
+      .toLowerCase()
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 60) || "board"
+  );
+}
+
+// Check and normalize the editable fields; partial = only validate fields that are present
+function cleanFields(input, { partial = false } = {}) {
+  if (!input || typeof input !== "object") throw badRequest("Expected a JSON object");
+  const out = {};
+
+  if (!partial || input.name !== undefined) {
+    const name = String(input.name ?? "").trim();
+    if (!name) throw badRequest("name is required");
+    if (name.length > MAX_NAME_LENGTH) throw badRequest(`name must be at most ${MAX_NAME_LENGTH} characters`);
+    out.name = name;
+  }
+
+  if (!partial || input.stationId !== undefined) {
+    const stationId = String(input.stationId ?? "").trim();
+    if (!stationId) throw badRequest("stationId is required");
+    out.stationId = stationId;
+  }
+
+  if (!partial || input.dir !== undefined) {
+    const dir = String(input.dir ?? "").trim().toUpperCase();
+    if (dir && dir !== "N" && dir !== "S") throw badRequest('dir must be "N" or "S"');
+    out.dir = dir;
+  }
+
+  if (!partial || input.lines !== undefined) {
+    const lines = input.lines ?? [];
+    if (!Array.isArray(lines)) throw badRequest("lines must be an array");
+    out.lines = Array.from(new Set(lines.map((l) => String(l).trim().toUpperCase()).filter(Boolean)));
+  }
+
+  return out;
+}
+
+export function createBoardStore({ file }) {
+  // slug -> board
+  let boards = new Map();
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+    try {
+      const list = JSON.parse(fs.readFileSync(file, "utf8"));
+      boards = new Map((Array.isArray(list) ? list : []).filter((b) => b?.slug).map((b) => [b.slug, b]));
+    } catch (err) {
+      console.error(`Failed to read boards from ${file}: ${err.message}`);
+    }
+  }
+
+  // Write to a temp file and rename, so a crash mid-write never leaves a truncated store
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(Array.from(boards.values()), null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function uniqueSlug(name) {
+    const base = slugify(name);
+    let slug = base;
+    for (let i = 2; boards.has(slug); i++) slug = `${base}-${i}`;
+    return slug;
+  }
+
+  function list() {
+    return Array.from(boards.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function get(slug) {
+    return boards.get(String(slug)) || null;
+  }
+
+  function create(input) {
+    const fields = cleanFields(input);
+    const now = new Date().toISOString();
+    const board = { slug: uniqueSlug(fields.name), ...fields, createdAt: now, updatedAt: now };
+    boards.set(board.slug, board);
+    save();
+    return board;
+  }
+
+  // The slug stays the same on rename so shared links keep working
+  function update(slug, patch) {
+    const board = get(slug);
+    if (!board) return null;
+    Object.assign(board, cleanFields(patch, { partial: true }), { updatedAt: new Date().toISOString() });
+    save();
+    return board;
+  }
+
+  function remove(slug) {
+    if (!boards.delete(String(slug))) return false;
+    save();
+    return true;
+  }
+
+  load();
+  return { list, get, create, update, remove };
+}
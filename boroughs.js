@@ -0,0 +1,42 @@
+// boroughs.js
+// Borough of a coordinate, by point-in-polygon against the bundled NYC borough boundaries
+// (nyc-boroughs.geojson: Census county outlines, which extend over the water, so riverside and
+// island stations still land inside one).
+//
+// Usage:
+//   const locator = loadBoroughBoundaries();         // or { file: "./other-boundaries.geojson" }
+//   locator.boroughAt(40.7995, -73.9682);           // { borough: "Manhattan", distanceM: 0 }
+//   locator.boroughAt(40.0, -75.0);                 // null (not within maxDistanceM of any borough)
+
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { geometryContains, distanceToGeometryMeters } from "./geo.js";
+
+export const DEFAULT_BOUNDARIES_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), "nyc-boroughs.geojson");
+
+// Points just outside every outline (a terminal on a pier) snap to the nearest borough within this
+const DEFAULT_MAX_DISTANCE_M = 500;
+
+export function loadBoroughBoundaries({ file = DEFAULT_BOUNDARIES_FILE, maxDistanceM = DEFAULT_MAX_DISTANCE_M } = {}) {
+  const fc = JSON.parse(fs.readFileSync(file, "utf8"));
+  const areas = (fc.features || [])
+    .filter((f) => f.properties?.borough && /Polygon$/.test(f.geometry?.type || ""))
+    .map((f) => ({ borough: f.properties.borough, geometry: f.geometry }));
+  if (!areas.length) throw new Error(`No borough polygons in ${file}`);
+
+  function boroughAt(lat, lon) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    const hit = areas.find((a) => geometryContains(a.geometry, lat, lon));
+    if (hit) return { borough: hit.borough, distanceM: 0 };
+
+    let best = null;
+    for (const a of areas) {
+      const d = distanceToGeometryMeters(a.geometry, lat, lon);
+      if (d <= maxDistanceM && (!best || d < best.distanceM)) best = { borough: a.borough, distanceM: Math.round(d) };
+    }
+    return best;
+  }
+
+  return { boroughs: areas.map((a) => a.borough), boroughAt };
+}
@@ -0,0 +1,601 @@
+// build-stages.js
+// Stages of the station data build, run in order by build.mjs:
+//
+//   source         resolve GTFS directories / unpack zips
+//   validate       GTFS checks (gtfs-validate.js); errors stop the build before anything is written
+//   station-lines  stations and the lines stopping there (stops + trips + stop_times)
+//   boroughs       borough per station: point-in-polygon on its coordinates, then the override CSV
+//   stations-ui    UI station records: boroughs, N/S platforms, coordinates, complexes, display names
+//   publish        write everything to <datasetsDir>/<version>/ and point datasets/CURRENT at it
+//
+// Each stage result is cached under cacheDir, keyed by a hash of its inputs and options, so a
+// rebuild only redoes the stages whose inputs changed.
+//
+// Usage:
+//   const config = loadBuildConfig("./build.config.json", { gtfs: ["./gtfs_subway.zip"] });
+//   const { dataset } = await runBuild(config);               // -> { version, dir }
+//   const { stationsUi } = await runBuild(config, { until: "stations-ui", force: true });
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { parse } from "csv-parse";
+import { parse as parseSync } from "csv-parse/sync";
+import { openGtfsSources, hashFile } from "./gtfs-source.js";
+import { loadBoroughBoundaries, DEFAULT_BOUNDARIES_FILE } from "./boroughs.js";
+import { validateGtfs } from "./gtfs-validate.js";
+import { serviceDateOf } from "./static-gtfs.js";
+import { currentDatasetDir, listDatasets, CURRENT_FILE } from "./datasets.js";
+
+export const STAGES = ["source", "validate", "station-lines", "boroughs", "stations-ui", "publish"];
+
+// Bump when a stage's output format changes so old cache entries are ignored
+const BUILD_FORMAT = 3;
+
+// Static GTFS files the server reads, copied into every dataset
+const DATASET_GTFS_FILES = [
+  "agency.txt",
+  "stops.txt",
+  "routes.txt",
+  "trips.txt",
+  "stop_times.txt",
+  "transfers.txt",
+  "calendar.txt",
+  "calendar_dates.txt",
+  "feed_info.txt",
+];
+
+const DEFAULT_CONFIG = {
+  gtfs: ["./gtfs", "."],
+  boroughOverrides: "./stations-lines.csv",
+  boroughBoundaries: null, // null = bundled nyc-boroughs.geojson
+  stationLinesSeed: "./stations-lines.json",
+  cacheDir: "./.build-cache",
+  datasetsDir: "./datasets",
+  onlySubway: false,
+  complexes: true,
+  keep: 5,
+  // warn when calendar service ends within this many days; strict: warnings fail the build too
+  calendarHorizonDays: 14,
+  strict: false,
+};
+
+// Paths in the config file are relative to the config file itself
+export function loadBuildConfig(file, overrides = {}) {
+  let raw = {};
+  if (file && fs.existsSync(file)) raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  const config = { ...DEFAULT_CONFIG, ...raw, ...overrides };
+
+  const base = file ? path.dirname(path.resolve(file)) : process.cwd();
+  const abs = (p) => (p ? path.resolve(base, p) : p);
+  return {
+    ...config,
+    gtfs: (Array.isArray(config.gtfs) ? config.gtfs : [config.gtfs]).map(abs),
+    boroughOverrides: abs(config.boroughOverrides),
+    boroughBoundaries: abs(config.boroughBoundaries) || DEFAULT_BOUNDARIES_FILE,
+    stationLinesSeed: abs(config.stationLinesSeed),
+    cacheDir: abs(config.cacheDir),
+    datasetsDir: abs(config.datasetsDir),
+  };
+}
+
+function sha1(value) {
+  return crypto.createHash("sha1").update(typeof value === "string" ? value : JSON.stringify(value)).digest("hex");
+}
+
+function streamCsv(filePath) {
+  return fs
+    .createReadStream(filePath)
+    .pipe(
+      parse({
+        columns: true,
+        relax_quotes: true,
+        relax_column_count: true,
+        trim: true,
+      })
+    );
+}
+
+function readCsvSync(filePath) {
+  const text = fs.readFileSync(filePath, "utf8").replace(/^\uFEFF/, "");
+  return parseSync(text, { columns: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+}
+
+function byLine(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true, sensitivity: "base" });
+}
+
+// ---------- stage: station-lines ----------
+// -> [{ id, name, lines }] sorted by name
+async function buildStationLines(files, { onlySubway, log }) {
+  const stopToStation = new Map();
+  const stationName = new Map();
+  for await (const row of streamCsv(files.stops)) {
+    if (!row.stop_id) continue;
+    const parent = row.parent_station || "";
+    const stationId = parent || row.stop_id;
+    stopToStation.set(row.stop_id, stationId);
+    // The parent station row (no parent_station) carries the canonical name
+    if (!stationName.has(stationId) || (!parent && row.stop_name)) stationName.set(stationId, row.stop_name || "");
+  }
+
+  const routeMap = new Map();
+  for await (const row of streamCsv(files.routes)) {
+    if (!row.route_id) continue;
+    routeMap.set(row.route_id, { shortName: row.route_short_name || row.route_id, routeType: String(row.route_type ?? "") });
+  }
+
+  const tripToRoute = new Map();
+  for await (const row of streamCsv(files.trips)) {
+    if (row.trip_id && row.route_id) tripToRoute.set(row.trip_id, row.route_id);
+  }
+
+  const stationRoutes = new Map();
+  let rows = 0;
+  let missedTrips = 0;
+  let missedStops = 0;
+  for await (const row of streamCsv(files.stop_times)) {
+    rows++;
+    if (!row.trip_id || !row.stop_id) continue;
+    const routeId = tripToRoute.get(row.trip_id);
+    if (!routeId) {
+      missedTrips++;
+      continue;
+    }
+    const stationId = stopToStation.get(row.stop_id);
+    if (!stationId) {
+      missedStops++;
+      continue;
+    }
+    if (onlySubway) {
+      const r = routeMap.get(routeId);
+      if (r && r.routeType && r.routeType !== "1") continue;
+    }
+    let set = stationRoutes.get(stationId);
+    if (!set) stationRoutes.set(stationId, (set = new Set()));
+    set.add(routeId);
+    if (rows % 1000000 === 0) log(`station-lines: ${rows.toLocaleString()} stop_times`);
+  }
+  if (missedTrips) log(`station-lines: warning, ${missedTrips.toLocaleString()} stop_times rows with unknown trip_id`);
+  if (missedStops) log(`station-lines: warning, ${missedStops.toLocaleString()} stop_times rows with unknown stop_id`);
+
+  const stations = Array.from(stationRoutes.entries()).map(([id, routeIds]) => ({
+    id,
+    name: stationName.get(id) || id,
+    lines: Array.from(new Set(Array.from(routeIds).map((rid) => routeMap.get(rid)?.shortName || rid))).sort(byLine),
+  }));
+  stations.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: "base" }));
+  return stations;
+}
+
+// ---------- stage: boroughs ----------
+// Override CSV (stations-lines.csv, hand-checked) columns id, Borough (header case-insensitive; id may
+// be stop_id/station_id); name and lines are for the humans editing it. An empty Borough means the
+// coordinates decide.
+function getField(row, candidates) {
+  const keys = Object.keys(row);
+  for (const c of candidates) {
+    const hit = keys.find((k) => k.toLowerCase() === c.toLowerCase());
+    if (hit) return String(row[hit] ?? "").trim();
+  }
+  return "";
+}
+
+function readBoroughOverrides(csvFile) {
+  const out = {};
+  if (!csvFile || !fs.existsSync(csvFile)) return out;
+  for (const r of readCsvSync(csvFile)) {
+    const id = getField(r, ["id", "stop_id", "station_id"]);
+    const borough = getField(r, ["Borough", "borough"]);
+    if (id && borough) out[id] = borough;
+  }
+  return out;
+}
+
+function csvEscape(v) {
+  const s = String(v ?? "");
+  return /[,"\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+// Rewrite the override CSV from the current station list, keeping every borough and hand-edited name
+// already there; new stations get an empty Borough cell (coordinates decide until someone fills it in)
+export function writeBoroughsCsv(csvFile, stationLines) {
+  const boroughs = readBoroughOverrides(csvFile);
+  const names = {};
+  if (csvFile && fs.existsSync(csvFile)) {
+    for (const r of readCsvSync(csvFile)) names[getField(r, ["id", "stop_id", "station_id"])] = getField(r, ["name"]);
+  }
+  const rows = [["id", "name", "Borough", "lines"]];
+  for (const s of stationLines) {
+    rows.push([s.id, names[s.id] || s.name, boroughs[s.id] || "", (s.lines || []).join(" ")].map(csvEscape));
+  }
+  fs.writeFileSync(csvFile, rows.map((r) => r.join(",")).join("\n"), "utf8");
+  return { rows: stationLines.length, missing: stationLines.filter((s) => !boroughs[s.id]).length };
+}
+
+// -> { byId, computed, overridden, disagreements: [{ id, name, override, computed }], unlocated: [{ id, name }] }
+function assignBoroughs({ stationLines, stopRows, overrides, boundariesFile }) {
+  const locator = loadBoroughBoundaries({ file: boundariesFile });
+
+  // Parent station row coordinates, else the first platform's
+  const coords = new Map();
+  for (const row of stopRows) {
+    const stationId = (row.parent_station || "").trim() || row.stop_id;
+    if (!row.stop_lat || !row.stop_lon) continue;
+    if (!row.parent_station || !coords.has(stationId)) {
+      coords.set(stationId, { lat: Number(row.stop_lat), lon: Number(row.stop_lon) });
+    }
+  }
+
+  const byId = {};
+  const report = { computed: 0, overridden: 0, disagreements: [], unlocated: [] };
+  for (const s of stationLines) {
+    const c = coords.get(s.id);
+    const computed = c ? locator.boroughAt(c.lat, c.lon)?.borough : null;
+    const override = overrides[s.id];
+    if (computed) report.computed++;
+    else if (!override) report.unlocated.push({ id: s.id, name: s.name });
+    if (override) {
+      report.overridden++;
+      if (computed && override !== computed) report.disagreements.push({ id: s.id, name: s.name, override, computed });
+    }
+    byId[s.id] = override || computed || "Unknown";
+  }
+  return { byId, ...report };
+}
+
+// ---------- stage: stations-ui ----------
+function inferDirFromStopId(stopId) {
+  const last = stopId?.slice(-1)?.toUpperCase();
+  return last === "N" || last === "S" ? last : null;
+}
+
+function normName(name) {
+  return String(name || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function centroid(stations) {
+  const pts = stations.filter((st) => st.lat != null && st.lon != null);
+  if (!pts.length) return { lat: null, lon: null };
+  const round6 = (x) => Math.round(x * 1e6) / 1e6;
+  return {
+    lat: round6(pts.reduce((a, st) => a + st.lat, 0) / pts.length),
+    lon: round6(pts.reduce((a, st) => a + st.lon, 0) / pts.length),
+  };
+}
+
+// Stations linked by a non-self transfer (Times Sq, Fulton St, ...) become one complex record
+function buildComplexes(byId, transfers) {
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const t of transfers) {
+    for (const id of [t.from, t.to]) if (!parent.has(id)) parent.set(id, id);
+    const a = find(t.from);
+    const b = find(t.to);
+    if (a !== b) parent.set(b, a);
+  }
+
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+
+  const complexes = [];
+  for (const ids of groups.values()) {
+    const members = ids.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    const memberSet = new Set(members);
+    const stations = members.map((id) => byId.get(id));
+
+    // Each undirected pair once, keeping the longer time if the two directions differ
+    const pairTimes = new Map();
+    for (const t of transfers) {
+      if (!memberSet.has(t.from)) continue;
+      const [a, b] = [t.from, t.to].sort();
+      const k = `${a}|${b}`;
+      pairTimes.set(k, Math.max(pairTimes.get(k) ?? 0, t.minTransferTime ?? 0));
+    }
+    const pairs = Array.from(pairTimes.entries()).map(([k, sec]) => {
+      const [from, to] = k.split("|");
+      return { from, to, minTransferTime: sec || null };
+    });
+
+    // Most common member name wins (Times Sq-42 St over 42 St-Port Authority Bus Terminal)
+    const nameCounts = new Map();
+    for (const st of stations) nameCounts.set(st.name, (nameCounts.get(st.name) || 0) + 1);
+    const names = Array.from(nameCounts.entries()).sort((a, b) => b[1] - a[1]).map(([n]) => n);
+
+    complexes.push({
+      id: `complex-${members[0]}`,
+      name: names[0],
+      lines: Array.from(new Set(stations.flatMap((st) => st.lines || []))).sort(byLine),
+      // Inherit the borough already resolved for the members (polygon lookup + CSV overrides); first one wins
+      borough: stations.map((st) => st.borough).find((b) => b && b !== "Unknown") || "Unknown",
+      ...centroid(stations),
+      // one entry per member platform, so a direction can have several stopIds
+      directions: stations.flatMap((st) => st.directions.map((d) => ({ ...d, member: st.id }))),
+      members,
+      memberNames: names,
+      memberLines: Object.fromEntries(stations.map((st) => [st.id, st.lines || []])),
+      // worst-case walk between any two members; per-pair times are in transfers
+      minTransferTime: pairs.reduce((m, p) => Math.max(m, p.minTransferTime || 0), 0) || null,
+      transfers: pairs,
+    });
+  }
+  return complexes;
+}
+
+function buildStationsUi({ stationLines, stopRows, transferRows, boroughs, complexes, log }) {
+  const byId = new Map(stationLines.map((s) => [String(s.id), { ...s }]));
+
+  // station_id -> Map(dir -> first platform stopId), plus coordinates from the parent row
+  const dirStops = new Map();
+  const coords = new Map();
+  for (const row of stopRows) {
+    const stopId = row.stop_id;
+    if (!stopId) continue;
+    const parent = (row.parent_station || "").trim();
+    const stationId = parent || stopId;
+    if (!byId.has(stationId)) continue;
+
+    if (!parent && row.stop_lat && row.stop_lon) {
+      coords.set(stationId, { lat: Number(row.stop_lat), lon: Number(row.stop_lon) });
+    }
+    const dir = inferDirFromStopId(stopId);
+    if (!dir) continue;
+    let m = dirStops.get(stationId);
+    if (!m) dirStops.set(stationId, (m = new Map()));
+    if (!m.has(dir)) m.set(dir, stopId);
+  }
+
+  for (const [id, s] of byId) {
+    s.borough = boroughs[id] || "Unknown";
+    const m = dirStops.get(id);
+    s.directions = ["N", "S"].filter((d) => m?.has(d)).map((d) => ({ dir: d, stopId: m.get(d) }));
+    s.lat = coords.get(id)?.lat ?? null;
+    s.lon = coords.get(id)?.lon ?? null;
+  }
+
+  if (complexes) {
+    const transfers = transferRows
+      .map((r) => ({
+        from: String(r.from_stop_id || ""),
+        to: String(r.to_stop_id || ""),
+        minTransferTime: r.min_transfer_time ? Number(r.min_transfer_time) : null,
+      }))
+      .filter((t) => t.from && t.to && t.from !== t.to && byId.has(t.from) && byId.has(t.to));
+    const groups = buildComplexes(byId, transfers);
+    for (const c of groups) {
+      for (const id of c.members) byId.delete(id);
+      byId.set(c.id, c);
+    }
+    log(`stations-ui: grouped ${groups.reduce((n, c) => n + c.members.length, 0)} stations into ${groups.length} complexes`);
+  }
+
+  // Same name twice -> append the lines; complexes also list their other member names
+  const nameCounts = new Map();
+  for (const s of byId.values()) nameCounts.set(normName(s.name), (nameCounts.get(normName(s.name)) || 0) + 1);
+  for (const s of byId.values()) {
+    const isDup = (nameCounts.get(normName(s.name)) || 0) > 1;
+    s.displayName = isDup ? `${s.name} (${(s.lines || []).join(", ")})` : s.name;
+    if (s.members && s.memberNames.length > 1) s.displayName += ` / ${s.memberNames.slice(1).join(" / ")}`;
+  }
+
+  // Sorted for dropdown friendliness
+  return Array.from(byId.values()).sort((a, b) => {
+    const bc = a.borough.localeCompare(b.borough, undefined, { sensitivity: "base" });
+    if (bc !== 0) return bc;
+    return a.displayName.localeCompare(b.displayName, undefined, { sensitivity: "base" });
+  });
+}
+
+// ---------- runner ----------
+// until: last stage to run (default "publish"); force: ignore cached stage results
+export async function runBuild(config, { until = "publish", force = false, log = console.log } = {}) {
+  if (!STAGES.includes(until)) throw new Error(`Unknown stage: ${until}`);
+  const stop = STAGES.indexOf(until);
+  const result = { config };
+
+  async function cached(stage, inputs, compute) {
+    const key = sha1({ stage, format: BUILD_FORMAT, inputs });
+    const file = path.join(config.cacheDir, stage, `${key.slice(0, 16)}.json`);
+    if (!force && fs.existsSync(file)) {
+      log(`${stage}: cached`);
+      return { key, file, value: JSON.parse(fs.readFileSync(file, "utf8")) };
+    }
+    const started = Date.now();
+    const value = await compute();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, JSON.stringify(value));
+    log(`${stage}: built in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    return { key, file, value };
+  }
+
+  // source
+  const sources = await openGtfsSources(config.gtfs, { cacheDir: config.cacheDir, log });
+  const files = Object.fromEntries(DATASET_GTFS_FILES.map((f) => [f.replace(/\.txt$/, ""), sources.file(f)]));
+  for (const f of ["stops", "routes", "trips"]) {
+    if (!files[f]) throw new Error(`Missing ${f}.txt in ${config.gtfs.join(", ")}`);
+  }
+  const fileHashes = {};
+  for (const [name, p] of Object.entries(files)) if (p) fileHashes[name] = await hashFile(p);
+  result.sources = sources;
+  result.files = files;
+  result.fileHashes = fileHashes;
+  if (stop < 1) return result;
+
+  // validate (the calendar checks depend on the date, so the report is cached per service day in
+  // the agency's timezone; the UTC date rolls over at 8pm in New York)
+  const timezone = (files.agency && readCsvSync(files.agency)[0]?.agency_timezone) || "America/New_York";
+  const today = serviceDateOf(new Date(), timezone);
+  const validation = await cached(
+    "validate",
+    { fileHashes, today, horizonDays: config.calendarHorizonDays },
+    () => validateGtfs({ dirs: sources.dirs, today, horizonDays: config.calendarHorizonDays })
+  );
+  const report = validation.value;
+  result.validation = report;
+  result.validationFile = validation.file;
+  for (const i of report.issues) {
+    log(`validate: ${i.severity} ${i.code} (${i.count}): ${i.message}${i.examples.length ? ` e.g. ${JSON.stringify(i.examples[0])}` : ""}`);
+  }
+  if (!report.ok || (config.strict && report.summary.warnings)) {
+    const err = new Error(
+      `GTFS validation failed: ${report.summary.errors} error(s), ${report.summary.warnings} warning(s); report: ${validation.file}`
+    );
+    err.report = report;
+    throw err;
+  }
+  if (stop < 2) return result;
+
+  // station-lines (stop_times.txt is optional locally: fall back to a previously built list)
+  let stationLines;
+  if (files.stop_times) {
+    stationLines = await cached(
+      "station-lines",
+      { stops: fileHashes.stops, routes: fileHashes.routes, trips: fileHashes.trips, stopTimes: fileHashes.stop_times, onlySubway: !!config.onlySubway },
+      () => buildStationLines(files, { onlySubway: !!config.onlySubway, log })
+    );
+  } else if (config.stationLinesSeed && fs.existsSync(config.stationLinesSeed)) {
+    log(`station-lines: stop_times.txt not found, using ${config.stationLinesSeed}`);
+    const value = JSON.parse(fs.readFileSync(config.stationLinesSeed, "utf8"));
+    stationLines = { key: sha1(value), file: config.stationLinesSeed, value };
+  } else {
+    throw new Error("station-lines needs stop_times.txt (or a stationLinesSeed file)");
+  }
+  result.stationLines = stationLines.value;
+  if (stop < 3) return result;
+
+  // boroughs
+  const overridesHash =
+    config.boroughOverrides && fs.existsSync(config.boroughOverrides) ? await hashFile(config.boroughOverrides) : null;
+  const boroughs = await cached(
+    "boroughs",
+    { stationLines: stationLines.key, stops: fileHashes.stops, overrides: overridesHash, boundaries: await hashFile(config.boroughBoundaries) },
+    () =>
+      assignBoroughs({
+        stationLines: stationLines.value,
+        stopRows: readCsvSync(files.stops),
+        overrides: readBoroughOverrides(config.boroughOverrides),
+        boundariesFile: config.boroughBoundaries,
+      })
+  );
+  const b = boroughs.value;
+  log(`boroughs: ${b.computed} located by coordinates, ${b.overridden} overridden by ${path.basename(config.boroughOverrides || "")}`);
+  for (const d of b.disagreements) {
+    log(`boroughs: ${d.id} ${d.name}: override says ${d.override}, coordinates say ${d.computed}`);
+  }
+  if (b.unlocated.length) {
+    log(`boroughs: warning, ${b.unlocated.length} station(s) outside every borough and not overridden: ${b.unlocated.map((u) => u.id).join(", ")}`);
+  }
+  result.boroughs = boroughs.value;
+  if (stop < 4) return result;
+
+  // stations-ui
+  const stationsUi = await cached(
+    "stations-ui",
+    { stationLines: stationLines.key, boroughs: boroughs.key, stops: fileHashes.stops, transfers: fileHashes.transfers || null, complexes: !!config.complexes },
+    () =>
+      buildStationsUi({
+        stationLines: stationLines.value,
+        stopRows: readCsvSync(files.stops),
+        transferRows: files.transfers ? readCsvSync(files.transfers) : [],
+        boroughs: boroughs.value.byId,
+        complexes: !!config.complexes,
+        log,
+      })
+  );
+  result.stationsUi = stationsUi.value;
+  if (stop < 5) return result;
+
+  // publish
+  result.dataset = publishDataset(config, {
+    files,
+    fileHashes,
+    stationLines: stationLines.value,
+    stationsUi: stationsUi.value,
+    boroughs: boroughs.value,
+    validation: report,
+    log,
+  });
+  return result;
+}
+
+// Same inputs -> same version, so rebuilding unchanged data just re-points CURRENT
+function publishDataset(config, { files, fileHashes, stationLines, stationsUi, boroughs, validation, log }) {
+  const contentHash = sha1({ fileHashes, stationsUi: sha1(stationsUi) }).slice(0, 10);
+  const existing = listDatasets(config.datasetsDir).find((d) => d.manifest?.contentHash === contentHash);
+
+  let version = existing?.version;
+  if (!version) {
+    const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+Z$/, "Z").replace("T", "-");
+    version = `${stamp}-${contentHash}`;
+    const dir = path.join(config.datasetsDir, version);
+    const tmp = `${dir}.tmp-${process.pid}`;
+    fs.rmSync(tmp, { recursive: true, force: true });
+    fs.mkdirSync(path.join(tmp, "gtfs"), { recursive: true });
+
+    const copied = [];
+    for (const f of DATASET_GTFS_FILES) {
+      const src = files[f.replace(/\.txt$/, "")];
+      if (!src) continue;
+      fs.copyFileSync(src, path.join(tmp, "gtfs", f));
+      copied.push(f);
+    }
+    fs.writeFileSync(path.join(tmp, "stations-lines.json"), JSON.stringify(stationLines, null, 2));
+    fs.writeFileSync(path.join(tmp, "stations-ui.json"), JSON.stringify(stationsUi, null, 2));
+    fs.writeFileSync(path.join(tmp, "validation.json"), JSON.stringify(validation, null, 2));
+    fs.writeFileSync(
+      path.join(tmp, "manifest.json"),
+      JSON.stringify(
+        {
+          version,
+          contentHash,
+          builtAt: new Date().toISOString(),
+          gtfsSources: config.gtfs,
+          gtfsFiles: copied,
+          fileHashes,
+          counts: {
+            stations: stationLines.length,
+            uiStations: stationsUi.length,
+            complexes: stationsUi.filter((s) => s.members).length,
+          },
+          boroughs: {
+            computed: boroughs.computed,
+            overridden: boroughs.overridden,
+            disagreements: boroughs.disagreements,
+            unlocated: boroughs.unlocated,
+          },
+        },
+        null,
+        2
+      )
+    );
+    fs.renameSync(tmp, dir);
+    log(`publish: wrote dataset ${version}`);
+  } else {
+    log(`publish: dataset ${version} already has this content`);
+  }
+
+  // Point CURRENT at it (write + rename so the server never reads a half-written pointer)
+  const pointer = path.join(config.datasetsDir, CURRENT_FILE);
+  fs.writeFileSync(`${pointer}.tmp`, version + "\n");
+  fs.renameSync(`${pointer}.tmp`, pointer);
+
+  // Keep the newest `keep` datasets (never the current one)
+  const current = currentDatasetDir(config.datasetsDir);
+  for (const d of listDatasets(config.datasetsDir).slice(Math.max(1, config.keep))) {
+    if (d.dir === current) continue;
+    fs.rmSync(d.dir, { recursive: true, force: true });
+    log(`publish: removed old dataset ${d.version}`);
+  }
+
+  return { version, dir: path.join(config.datasetsDir, version) };
+}
@@ -0,0 +1,111 @@
+// build.mjs
+// One command for the station data build (replaces build-station-lines.mjs, json-to-csv.mjs,
+// build-stations-ui-from-files.mjs and merge-boroughs-into-stations-ui.mjs).
+//
+// Usage:
+//   npm run build                                  # all stages, publish a new dataset
+//   node build.mjs all --gtfs ./gtfs_subway.zip    # build from the MTA zip instead of the config's sources
+//   node build.mjs station-lines                   # run up to a stage and print a summary
+//   node build.mjs validate --gtfs ./gtfs --gtfs . # GTFS checks; JSON report on stdout, exit 1 on errors
+//   node build.mjs boroughs                        # borough per station; lists override/coordinate disagreements
+//   node build.mjs boroughs-csv                    # add new stations to the borough CSV (existing boroughs kept)
+//   node build.mjs list                            # published datasets, * = current
+//
+// Options:
+//   --config <file>   build config (default ./build.config.json)
+//   --gtfs <path>     GTFS zip or directory; repeat to layer several (overrides config "gtfs")
+//   --force           ignore cached stage results
+//   --strict          warnings (calendar gaps, expiry, ...) fail the build / validation too
+//   --out <file>      validate: write the JSON report to a file instead of stdout
+//
+// The server loads <datasetsDir>/CURRENT on startup (DATASETS_DIR / DATASET_DIR to override).
+
+import { parseArgs } from "node:util";
+import fs from "node:fs";
+import path from "node:path";
+import { loadBuildConfig, runBuild, writeBoroughsCsv, STAGES } from "./build-stages.js";
+import { listDatasets, currentDatasetDir } from "./datasets.js";
+
+const COMMANDS = ["all", ...STAGES, "boroughs-csv", "list", "help"];
+
+function usage() {
+  console.log(`Usage: node build.mjs [${COMMANDS.join("|")}] [--config file] [--gtfs path]... [--force] [--strict] [--out file]`);
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      config: { type: "string", default: "./build.config.json" },
+      gtfs: { type: "string", multiple: true },
+      force: { type: "boolean", default: false },
+      strict: { type: "boolean", default: false },
+      out: { type: "string" },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+
+  const command = positionals[0] || "all";
+  if (values.help || command === "help") return usage();
+  if (!COMMANDS.includes(command)) {
+    usage();
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  // --gtfs paths are relative to where the command runs, not to the config file
+  const overrides = values.gtfs ? { gtfs: values.gtfs.map((p) => path.resolve(p)) } : {};
+  if (values.strict) overrides.strict = true;
+  const config = loadBuildConfig(values.config, overrides);
+
+  if (command === "list") {
+    const current = currentDatasetDir(config.datasetsDir);
+    const datasets = listDatasets(config.datasetsDir);
+    if (!datasets.length) console.log(`No datasets in ${config.datasetsDir}`);
+    for (const d of datasets) {
+      const c = d.manifest.counts || {};
+      console.log(`${d.dir === current ? "*" : " "} ${d.version}  ${d.manifest.builtAt}  ${c.uiStations ?? "?"} stations`);
+    }
+    return;
+  }
+
+  if (command === "boroughs-csv") {
+    const { stationLines } = await runBuild(config, { until: "station-lines", force: values.force });
+    const { rows, missing } = writeBoroughsCsv(config.boroughOverrides, stationLines);
+    console.log(`Wrote ${rows} rows to ${config.boroughOverrides} (${missing} without a borough)`);
+    return;
+  }
+
+  // The report is the output here, so progress goes to stderr and the exit code carries the verdict
+  if (command === "validate") {
+    let report;
+    try {
+      report = (await runBuild(config, { until: "validate", force: values.force, log: console.error })).validation;
+    } catch (err) {
+      if (!err.report) throw err;
+      report = err.report;
+      process.exitCode = 1;
+    }
+    const json = JSON.stringify(report, null, 2);
+    if (values.out) fs.writeFileSync(values.out, json + "\n");
+    else console.log(json);
+    console.error(`${report.summary.errors} error(s), ${report.summary.warnings} warning(s)`);
+    return;
+  }
+
+  const until = command === "all" ? "publish" : command;
+  const result = await runBuild(config, { until, force: values.force });
+
+  if (until === "source") console.log(`GTFS sources: ${result.sources.dirs.join(", ")}`);
+  if (until === "station-lines") console.log(`${result.stationLines.length} stations with lines`);
+  if (until === "boroughs") {
+    const { byId, disagreements, unlocated } = result.boroughs;
+    console.log(`${Object.keys(byId).length} stations, ${disagreements.length} override disagreement(s), ${unlocated.length} unlocated`);
+  }
+  if (until === "stations-ui") console.log(`${result.stationsUi.length} UI stations`);
+  if (result.dataset) console.log(`✅ Dataset ${result.dataset.version} -> ${result.dataset.dir}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
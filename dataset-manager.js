@@ -0,0 +1,267 @@
+// dataset-manager.js
+// Station records (stations-ui.json) and static GTFS loaded once into indexed in-memory structures,
+// reloaded when the files change (or on request). A new version is fully loaded and validated before it
+// replaces the current one in a single swap; if it fails, the previous version keeps serving.
+//
+// Usage:
+//   const datasets = createDatasetManager({
+//     locate: () => ({ dir, stationsFile: "./stations-ui.json", gtfsDirs: ["./gtfs", "."] }),
+//   });
+//   const { stations, gtfs, schedule } = datasets.current();
+//   datasets.findStation("725");      // complex record that has 725 as a member
+//   await datasets.reload({ reason: "admin" }); // { ok, version, errors, warnings }
+//   datasets.status();                // version, counts, last reload result
+//
+// locate() is called on every reload, so a newly published dataset (datasets/CURRENT) is picked up.
+
+import fs from "node:fs";
+import path from "node:path";
+import { loadStaticGtfs } from "./static-gtfs.js";
+import { loadSchedule } from "./schedule.js";
+
+// Files whose change triggers a reload, looked up in every GTFS dir
+const WATCHED_GTFS_FILES = [
+  "stops.txt",
+  "routes.txt",
+  "trips.txt",
+  "stop_times.txt",
+  "transfers.txt",
+  "calendar.txt",
+  "calendar_dates.txt",
+  "agency.txt",
+  "feed_info.txt",
+];
+
+// A build rewrites several files in a row; wait for it to settle before reloading
+const RELOAD_DEBOUNCE_MS = 1000;
+
+function readManifest(dir) {
+  if (!dir) return null;
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+// Throws with a readable message; a missing file is not an error (stations: null)
+function readStations(file) {
+  if (!file || !fs.existsSync(file)) return null;
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`${file}: ${err.message}`);
+  }
+  if (!Array.isArray(data)) throw new Error(`${file}: expected an array of stations`);
+  return data;
+}
+
+// -> { errors: [...], warnings: [...] }
+export function validateDataset({ stations, gtfs }) {
+  const errors = [];
+  const warnings = [];
+  const sample = (list) => list.slice(0, 5).join(", ") + (list.length > 5 ? `, … (${list.length})` : "");
+
+  if (!gtfs.stops.size) errors.push("stops.txt is missing or empty");
+  if (!gtfs.routes.size) errors.push("routes.txt is missing or empty");
+  if (!gtfs.trips.size) warnings.push("trips.txt is missing or empty (realtime trips won't match static ones)");
+
+  if (!stations) {
+    warnings.push("stations-ui.json not found");
+    return { errors, warnings };
+  }
+  if (!stations.length) errors.push("stations-ui.json has no stations");
+
+  const seen = new Set();
+  const duplicates = [];
+  const malformed = [];
+  const unknownStops = [];
+  const unknownBorough = [];
+  for (const s of stations) {
+    if (!s || s.id == null || !s.name || !Array.isArray(s.directions)) {
+      malformed.push(String(s?.id ?? "?"));
+      continue;
+    }
+    const id = String(s.id);
+    if (seen.has(id)) duplicates.push(id);
+    seen.add(id);
+    if (gtfs.stops.size) {
+      for (const d of s.directions) if (!gtfs.stops.has(String(d.stopId))) unknownStops.push(String(d.stopId));
+      for (const m of s.members || []) if (!gtfs.stops.has(String(m))) unknownStops.push(String(m));
+    }
+    if (!s.borough || s.borough === "Unknown") unknownBorough.push(id);
+  }
+  if (malformed.length) errors.push(`stations without id, name or directions: ${sample(malformed)}`);
+  if (duplicates.length) errors.push(`duplicate station ids: ${sample(duplicates)}`);
+  // Stations built from a different GTFS than the one loaded would point departures at nothing
+  if (unknownStops.length) errors.push(`station stop ids not in stops.txt: ${sample(unknownStops)}`);
+  if (unknownBorough.length) warnings.push(`stations without a borough (hidden in the UI): ${sample(unknownBorough)}`);
+  return { errors, warnings };
+}
+
+// Lookups used on every request, built once per version
+function indexStations(stations) {
+  const byId = new Map();
+  const byMember = new Map();
+  for (const s of stations || []) {
+    byId.set(String(s.id), s);
+    for (const m of s.members || []) byMember.set(String(m), s);
+  }
+  return { byId, byMember };
+}
+
+export function createDatasetManager({ locate, watchIntervalMs = 5000, log = console }) {
+  let current = null;
+  let generation = 0;
+  let lastReload = null;
+  let reloading = null; // promise of the reload in progress
+  let reloadAgain = false;
+  let debounceTimer = null;
+  let watched = [];
+
+  // Parse + index + validate; the schedule (stop_times.txt) is loaded separately since it's slow
+  function loadVersion(paths) {
+    const stations = readStations(paths.stationsFile);
+    const gtfs = loadStaticGtfs({ dirs: paths.gtfsDirs });
+    const { errors, warnings } = validateDataset({ stations, gtfs });
+    const manifest = readManifest(paths.dir);
+    return {
+      version: manifest?.version || null,
+      dir: paths.dir || null,
+      stationsFile: paths.stationsFile,
+      gtfsDirs: paths.gtfsDirs,
+      stations,
+      ...indexStations(stations),
+      gtfs,
+      schedule: null,
+      errors,
+      warnings,
+    };
+  }
+
+  function swap(next, reason) {
+    next.generation = ++generation;
+    next.loadedAt = new Date().toISOString();
+    current = next;
+    watchFiles(next);
+    const counts = `${next.stations?.length ?? 0} stations, ${next.gtfs.stops.size} stops, ${next.gtfs.trips.size} trips`;
+    log.log(`Dataset ${next.version || "(unversioned)"} loaded (${reason}): ${counts}`);
+    for (const w of next.warnings) log.log(`Dataset warning: ${w}`);
+  }
+
+  async function attachSchedule(version) {
+    version.schedule = await loadSchedule({ gtfs: version.gtfs, dirs: version.gtfsDirs });
+    if (version.schedule.loaded) log.log(`Static schedule: ${version.schedule.size.toLocaleString()} stop_times`);
+    else log.log("Static schedule: stop_times.txt not found, scheduled fallback disabled");
+  }
+
+  // Startup: nothing to fall back to, so the first version is served even if it doesn't validate
+  function loadInitial() {
+    let first;
+    try {
+      first = loadVersion(locate());
+    } catch (err) {
+      log.error(`Dataset: ${err.message}`);
+      first = loadVersion({ ...locate(), stationsFile: null });
+      first.errors.push(err.message);
+    }
+    for (const e of first.errors) log.error(`Dataset error: ${e}`);
+    swap(first, "startup");
+    lastReload = { at: first.loadedAt, reason: "startup", ok: !first.errors.length, errors: first.errors };
+    // The server answers with realtime only until stop_times.txt is in
+    attachSchedule(first).catch((err) => log.error("Failed to load static schedule:", err));
+  }
+
+  async function runReload(reason) {
+    const at = new Date().toISOString();
+    try {
+      const next = loadVersion(locate());
+      if (next.errors.length) {
+        for (const e of next.errors) log.error(`Dataset reload rejected: ${e}`);
+        lastReload = { at, reason, ok: false, errors: next.errors };
+        return { ok: false, version: current?.version ?? null, errors: next.errors, warnings: next.warnings };
+      }
+      // Swap only once the new schedule is ready, so departures never lose their scheduled fallback
+      await attachSchedule(next);
+      swap(next, reason);
+      lastReload = { at, reason, ok: true, errors: [] };
+      return { ok: true, version: next.version, errors: [], warnings: next.warnings };
+    } catch (err) {
+      log.error(`Dataset reload failed, keeping the current version: ${err.message}`);
+      lastReload = { at, reason, ok: false, errors: [err.message] };
+      return { ok: false, version: current?.version ?? null, errors: [err.message], warnings: [] };
+    }
+  }
+
+  // One reload at a time; requests arriving during a reload run once more afterwards
+  function reload({ reason = "manual" } = {}) {
+    if (reloading) {
+      reloadAgain = true;
+      return reloading;
+    }
+    reloading = runReload(reason).finally(() => {
+      reloading = null;
+      if (reloadAgain) {
+        reloadAgain = false;
+        reload({ reason: `${reason} (queued)` });
+      }
+    });
+    return reloading;
+  }
+
+  function onFileChange(curr, prev) {
+    if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => reload({ reason: "file change" }), RELOAD_DEBOUNCE_MS);
+    debounceTimer.unref?.();
+  }
+
+  function watchFiles(version) {
+    for (const f of watched) fs.unwatchFile(f, onFileChange);
+    const files = new Set([version.stationsFile, ...(locate().watch || [])]);
+    for (const d of version.gtfsDirs) for (const name of WATCHED_GTFS_FILES) files.add(path.join(d, name));
+    watched = Array.from(files).filter(Boolean);
+    if (!watchIntervalMs) return;
+    for (const f of watched) fs.watchFile(f, { interval: watchIntervalMs, persistent: false }, onFileChange);
+  }
+
+  function findStation(id) {
+    id = String(id);
+    return current.byId.get(id) || current.byMember.get(id) || null;
+  }
+
+  function status() {
+    return {
+      version: current.version,
+      generation: current.generation,
+      loadedAt: current.loadedAt,
+      dir: current.dir,
+      stationsFile: current.stationsFile,
+      gtfsDirs: current.gtfsDirs,
+      counts: {
+        stations: current.stations?.length ?? 0,
+        stops: current.gtfs.stops.size,
+        routes: current.gtfs.routes.size,
+        trips: current.gtfs.trips.size,
+      },
+      scheduleLoaded: !!current.schedule?.loaded,
+      warnings: current.warnings,
+      reloading: !!reloading,
+      lastReload,
+    };
+  }
+
+  loadInitial();
+
+  return {
+    current: () => current,
+    findStation,
+    reload,
+    status,
+    stop() {
+      clearTimeout(debounceTimer);
+      for (const f of watched) fs.unwatchFile(f, onFileChange);
+    },
+  };
+}
@@ -0,0 +1,54 @@
+// datasets.js
+// Versioned dataset directories written by `npm run build` (see build.mjs):
+//
+//   datasets/
+//     CURRENT                     name of the dataset the server should load
+//     20261019-101500Z-3f2a9c01d4/
+//       manifest.json             version, build time, source file hashes, counts
+//       stations-ui.json          station records for the UI and /api/*
+//       stations-lines.json       station -> lines
+//       gtfs/                     the static GTFS files the dataset was built from
+//
+// Usage:
+//   const dir = currentDatasetDir("./datasets"); // absolute path, or null if nothing was published
+//   listDatasets("./datasets");                  // [{ version, dir, manifest }] newest first
+
+import fs from "node:fs";
+import path from "node:path";
+
+export const CURRENT_FILE = "CURRENT";
+
+function readManifest(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "manifest.json"), "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+export function listDatasets(datasetsDir) {
+  if (!datasetsDir || !fs.existsSync(datasetsDir)) return [];
+  return fs
+    .readdirSync(datasetsDir, { withFileTypes: true })
+    .filter((e) => e.isDirectory() && !e.name.includes(".tmp-"))
+    .map((e) => {
+      const dir = path.resolve(datasetsDir, e.name);
+      return { version: e.name, dir, manifest: readManifest(dir) };
+    })
+    .filter((d) => d.manifest)
+    .sort((a, b) => String(b.manifest.builtAt).localeCompare(String(a.manifest.builtAt)));
+}
+
+// The dataset named in CURRENT; falls back to the newest complete one if the pointer is missing or stale
+export function currentDatasetDir(datasetsDir) {
+  if (!datasetsDir || !fs.existsSync(datasetsDir)) return null;
+  let version = "";
+  try {
+    version = fs.readFileSync(path.join(datasetsDir, CURRENT_FILE), "utf8").trim();
+  } catch {}
+  if (version) {
+    const dir = path.resolve(datasetsDir, version);
+    if (readManifest(dir)) return dir;
+  }
+  return listDatasets(datasetsDir)[0]?.dir || null;
+}
@@ -0,0 +1,194 @@
+// departures-socket.js
+// WebSocket subscription API: one connection can watch any number of stop/line combinations and
+// receives diffs of each departure list whenever the underlying feeds change.
+//
+// Protocol (JSON text frames):
+//   -> { "type": "subscribe", "id": "lobby", "stopIds": ["L06N", "635S"], "lines": ["L", "6"] }
+//   <- { "type": "snapshot", "id": "lobby", "departures": [...], "degraded": false, "feeds": [...] }
+//   <- { "type": "diff", "id": "lobby", "added": [...], "removed": [...], "changed": [...] }
+//   -> { "type": "unsubscribe", "id": "lobby" }
+//   <- { "type": "error", "error": "..." }
+//   <- { "type": "heartbeat", "at": "<ISO time>" }   every pingIntervalMs, so clients can tell a quiet
+//                                                     station from a dead socket (browsers can't see pings)
+//
+// "id" is optional on subscribe (defaults to a key built from stopIds + lines) and is echoed back.
+// authorize(req) -> { ok, status, error, retryAfter } is checked once per connection, before the upgrade.
+
+import { WebSocketServer } from "ws";
+
+// Same trip at the same stop is the same departure, even if its predicted time moves
+function departureKey(d) {
+  return d.tripId ? `${d.tripId}|${d.stopId}` : `${d.routeId}|${d.stopId}|${d.timestamp}`;
+}
+
+export function diffDepartures(prev, next) {
+  const before = new Map(prev.map((d) => [departureKey(d), d]));
+  const after = new Map(next.map((d) => [departureKey(d), d]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [k, d] of after) {
+    const old = before.get(k);
+    if (!old) added.push(d);
+    else if (old.timestamp !== d.timestamp || old.etaMinutes !== d.etaMinutes) changed.push(d);
+  }
+  for (const [k, d] of before) {
+    if (!after.has(k)) removed.push(d);
+  }
+
+  return { added, removed, changed };
+}
+
+function cleanList(v) {
+  return (Array.isArray(v) ? v : v == null ? [] : [v]).map(String).map((x) => x.trim()).filter(Boolean);
+}
+
+export function attachDeparturesSocket(server, {
+  path = "/mta/ws",
+  feedCache,
+  pickFeedUrls,
+  buildPayload,
+  maxBufferedBytes = 1024 * 1024,
+  maxSubscriptions = 50,
+  pingIntervalMs = 30000,
+  authorize = null,
+}) {
+  const wss = new WebSocketServer({
+    server,
+    path,
+    // Rejected clients get a plain HTTP status (401/429) instead of an upgraded socket
+    verifyClient: authorize
+      ? (info, done) => {
+          const result = authorize(info.req);
+          if (result.ok) return done(true);
+          const headers = result.retryAfter != null ? { "Retry-After": String(result.retryAfter) } : {};
+          done(false, result.status, result.error, headers);
+        }
+      : undefined,
+  });
+
+  // Drop a client whose send buffer has backed up instead of queueing forever
+  function send(ws, msg) {
+    if (ws.readyState !== ws.OPEN) return false;
+    if (ws.bufferedAmount > maxBufferedBytes) {
+      console.warn(`WebSocket client too slow (${ws.bufferedAmount} bytes buffered); dropping`);
+      ws.terminate();
+      return false;
+    }
+    ws.send(JSON.stringify(msg));
+    return true;
+  }
+
+  // One build at a time per subscription. Notifications that arrive meanwhile (several feeds can
+  // refresh together) collapse into one rerun, so a slow build can't land after a newer one and
+  // send a diff that goes backwards
+  function update(ws, sub, opts) {
+    if (sub.running) {
+      sub.rerun = true;
+      return sub.running;
+    }
+    sub.running = runUpdate(ws, sub, opts).finally(() => {
+      sub.running = null;
+      if (sub.rerun) {
+        sub.rerun = false;
+        update(ws, sub);
+      }
+    });
+    return sub.running;
+  }
+
+  async function runUpdate(ws, sub, { initial = false } = {}) {
+    try {
+      const { body } = await buildPayload(sub.stopIds, sub.lines);
+      if (!ws.subs.has(sub.id) || ws.subs.get(sub.id) !== sub) return; // unsubscribed meanwhile
+
+      if (initial || !sub.departures) {
+        sub.departures = body.departures;
+        send(ws, { type: "snapshot", id: sub.id, degraded: body.degraded, feeds: body.feeds, departures: body.departures });
+        return;
+      }
+
+      const diff = diffDepartures(sub.departures, body.departures);
+      sub.departures = body.departures;
+      if (!diff.added.length && !diff.removed.length && !diff.changed.length) return;
+      send(ws, { type: "diff", id: sub.id, degraded: body.degraded, ...diff });
+    } catch (err) {
+      console.error(err);
+      send(ws, { type: "error", id: sub.id, error: "Internal server error" });
+    }
+  }
+
+  function handleMessage(ws, raw) {
+    let msg;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch {
+      return send(ws, { type: "error", error: "Messages must be JSON" });
+    }
+
+    if (msg?.type === "subscribe") {
+      const stopIds = cleanList(msg.stopIds ?? msg.stopId);
+      const lines = cleanList(msg.lines ?? msg.line).map((l) => l.toUpperCase());
+      if (!stopIds.length) return send(ws, { type: "error", id: msg.id, error: "Provide stopIds" });
+
+      const id = msg.id != null ? String(msg.id) : `${stopIds.join(",")}|${lines.join(",")}`;
+      if (!ws.subs.has(id) && ws.subs.size >= maxSubscriptions) {
+        return send(ws, { type: "error", id, error: `Too many subscriptions (max ${maxSubscriptions})` });
+      }
+
+      const sub = { id, stopIds, lines, urls: new Set(pickFeedUrls(lines)), departures: null, running: null, rerun: false };
+      ws.subs.set(id, sub);
+      return update(ws, sub, { initial: true });
+    }
+
+    if (msg?.type === "unsubscribe") {
+      const id = String(msg.id ?? "");
+      const existed = ws.subs.delete(id);
+      return send(ws, { type: "unsubscribed", id, existed });
+    }
+
+    send(ws, { type: "error", error: `Unknown message type: ${msg?.type}` });
+  }
+
+  wss.on("connection", (ws) => {
+    ws.subs = new Map(); // id -> { id, stopIds, lines, urls, departures, running, rerun }
+    ws.isAlive = true;
+
+    ws.on("pong", () => {
+      ws.isAlive = true;
+    });
+    ws.on("message", (raw) => handleMessage(ws, raw));
+    ws.on("error", (err) => console.error(`WebSocket error: ${err.message}`));
+  });
+
+  const unsubscribe = feedCache.subscribe((url) => {
+    for (const ws of wss.clients) {
+      for (const sub of ws.subs.values()) {
+        if (sub.urls.has(url)) update(ws, sub);
+      }
+    }
+  });
+
+  // Terminate connections that stopped answering pings
+  const pinger = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+      send(ws, { type: "heartbeat", at: new Date().toISOString() });
+    }
+  }, pingIntervalMs);
+  pinger.unref?.();
+
+  wss.on("close", () => {
+    clearInterval(pinger);
+    unsubscribe();
+  });
+
+  return wss;
+}
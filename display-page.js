@@ -0,0 +1,384 @@
+// display-page.js
+// Kiosk / wall-display page for /display: a grid of station + direction panels that fills the
+// screen, pages through panels when they don't all fit, and keeps itself live over /mta/ws with
+// reconnect + polling fallback so a TV never needs a manual reload.
+//
+// Usage:
+//   res.send(renderDisplayPage({
+//     title: "Lobby",
+//     rotateSec: 15,
+//     panels: [{ key, stationId, name, dir, label, stopIds, lines, alertStopIds }],
+//     errors: ["Unknown station: 999"],
+//   }));
+
+import { ROUTE_CLASS, routeColorCss } from "./route-colors.js";
+
+export function renderDisplayPage({ title = "", rotateSec = 15, panels = [], errors = [] } = {}) {
+  const configJson = JSON.stringify({ title, rotateSec, panels, errors }).replace(/</g, "\\u003c");
+
+  return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8" />
+<meta name="viewport" content="width=device-width, initial-scale=1.0" />
+<title>${title ? "MTA Train Trax • " + title.replace(/[<&"]/g, "") : "MTA Train Trax • Display"}</title>
+<style>
+:root{color-scheme:dark;}
+*{box-sizing:border-box;}
+html,body{height:100%;margin:0;}
+body{
+  background:#05060a;color:#f0f6fc;overflow:hidden;
+  font-family:system-ui,-apple-system,BlinkMacSystemFont,Segoe UI,Roboto;
+  display:flex;flex-direction:column;
+}
+header{
+  display:flex;align-items:baseline;justify-content:space-between;gap:16px;
+  padding:1.2vh 2vw;border-bottom:1px solid #21262d;
+}
+header .title{font-weight:950;font-size:max(18px,3vh);}
+header .clock{font-weight:950;font-size:max(22px,4.5vh);font-variant-numeric:tabular-nums;}
+header .date{color:#8b949e;font-size:max(12px,1.8vh);margin-left:12px;}
+.conn{font-size:max(12px,1.6vh);color:#8b949e;}
+.conn.down{color:#f0883e;}
+
+#panels{flex:1;display:grid;gap:1.2vh;padding:1.2vh;min-height:0;}
+.panel{
+  background:#11151d;border-radius:16px;padding:.6em .8em;
+  display:flex;flex-direction:column;min-height:0;overflow:hidden;
+}
+.panel .head{display:flex;justify-content:space-between;align-items:baseline;gap:.5em;}
+.panel .name{font-weight:950;font-size:1.15em;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;}
+.panel .dir{color:#8b949e;font-weight:800;white-space:nowrap;}
+.panel .stale{color:#f0883e;font-size:.7em;min-height:1em;}
+.panel table{width:100%;border-collapse:collapse;table-layout:fixed;margin-top:.2em;}
+.panel td{padding:.25em .1em;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;}
+.panel tr+tr td{border-top:1px solid #21262d;}
+.panel td.route{width:2.4em;}
+.panel td.eta{width:4.2em;text-align:right;font-weight:950;font-variant-numeric:tabular-nums;}
+.panel td.eta .sched{color:#8b949e;font-weight:600;}
+.panel .empty{color:#8b949e;margin-top:.4em;}
+
+.route-pill{
+  display:inline-flex;align-items:center;justify-content:center;
+  min-width:1.7em;height:1.7em;border-radius:999px;
+  font-size:.85em;font-weight:900;color:#fff;padding:0 .4em;background:#30363d;
+}
+${routeColorCss()}
+
+footer{
+  display:flex;align-items:center;justify-content:space-between;gap:16px;
+  padding:1vh 2vw;border-top:1px solid #21262d;font-size:max(13px,2vh);min-height:5vh;
+}
+#alert{flex:1;white-space:nowrap;overflow:hidden;text-overflow:ellipsis;color:#f0883e;font-weight:700;}
+#page{color:#8b949e;white-space:nowrap;}
+.setup{padding:4vh 4vw;font-size:max(14px,2.2vh);line-height:1.5;}
+.setup code{background:#11151d;padding:2px 6px;border-radius:6px;}
+</style>
+</head>
+<body>
+<header>
+  <div><span class="title" id="title"></span><span class="date" id="date"></span></div>
+  <div style="display:flex;align-items:baseline;gap:16px;">
+    <span class="conn" id="conn">Connecting…</span>
+    <span class="clock" id="clock"></span>
+  </div>
+</header>
+<main id="panels"></main>
+<footer>
+  <div id="alert"></div>
+  <div id="page"></div>
+</footer>
+
+<script>
+const CONFIG = ${configJson};
+
+const panelsEl = document.getElementById("panels");
+const clockEl = document.getElementById("clock");
+const dateEl = document.getElementById("date");
+const connEl = document.getElementById("conn");
+const alertEl = document.getElementById("alert");
+const pageEl = document.getElementById("page");
+document.getElementById("title").textContent = CONFIG.title || "Next trains";
+
+// panel key -> { departures: Map(departure key -> departure), degraded, updatedAt }
+const state = new Map(CONFIG.panels.map(p => [p.key, { departures: new Map(), degraded: false, updatedAt: 0 }]));
+
+const ROUTE_CLASS = ${JSON.stringify(ROUTE_CLASS)};
+
+function pill(route){
+  const cls = ROUTE_CLASS[String(route || "").toUpperCase().trim()];
+  return cls ? "route-pill " + cls : "route-pill";
+}
+
+// Same key the server uses for diffs
+function depKey(d){
+  return d.tripId ? d.tripId + "|" + d.stopId : d.routeId + "|" + d.stopId + "|" + d.timestamp;
+}
+
+function setDepartures(key, list, degraded){
+  const st = state.get(key);
+  if (!st) return;
+  st.departures = new Map((list || []).map(d => [depKey(d), d]));
+  st.degraded = !!degraded;
+  st.updatedAt = Date.now();
+}
+
+function applyDiff(key, msg){
+  const st = state.get(key);
+  if (!st) return;
+  for (const d of msg.removed || []) st.departures.delete(depKey(d));
+  for (const d of [...(msg.added || []), ...(msg.changed || [])]) st.departures.set(depKey(d), d);
+  st.degraded = !!msg.degraded;
+  st.updatedAt = Date.now();
+}
+
+// ---------- layout: fit panels to the screen, page through the rest ----------
+const MIN_PANEL_W = 340;
+const MIN_PANEL_H = 200;
+let perPage = 1;
+let page = 0;
+
+function layout(){
+  const W = panelsEl.clientWidth;
+  const H = panelsEl.clientHeight;
+  const n = CONFIG.panels.length;
+  const maxCols = Math.max(1, Math.floor(W / MIN_PANEL_W));
+  const maxRows = Math.max(1, Math.floor(H / MIN_PANEL_H));
+  perPage = Math.max(1, Math.min(n, maxCols * maxRows));
+
+  // Columns that keep panels closest to the minimum panel's shape
+  const cols = Math.min(maxCols, perPage, Math.max(1, Math.round(Math.sqrt(perPage * (W / H) * (MIN_PANEL_H / MIN_PANEL_W)))));
+  const rows = Math.min(maxRows, Math.ceil(perPage / cols));
+  perPage = Math.min(perPage, cols * rows);
+  panelsEl.style.gridTemplateColumns = "repeat(" + cols + ", minmax(0, 1fr))";
+  panelsEl.style.gridTemplateRows = "repeat(" + rows + ", minmax(0, 1fr))";
+
+  if (page * perPage >= n) page = 0;
+  render();
+}
+
+function pageCount(){
+  return Math.max(1, Math.ceil(CONFIG.panels.length / perPage));
+}
+
+function etaText(d, nowSec){
+  const mins = Math.round((d.timestamp - nowSec) / 60);
+  const text = mins <= 0 ? "Now" : mins + " min";
+  return d.source === "scheduled" ? '<span class="sched">' + text + "*</span>" : text;
+}
+
+function escapeHtml(s){
+  return String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function renderPanel(p){
+  const st = state.get(p.key);
+  const nowSec = Math.floor(Date.now() / 1000);
+  const div = document.createElement("section");
+  div.className = "panel";
+  panelsEl.appendChild(div);
+
+  // Font scales with the panel; row count is whatever fits below the header at that size
+  const w = div.clientWidth;
+  const h = div.clientHeight;
+  const fs = Math.max(14, Math.min(56, w / 18, h / 9));
+  div.style.fontSize = fs + "px";
+  const rowsFit = Math.max(1, Math.floor((h - fs * 3.6) / (fs * 1.85)));
+
+  const deps = Array.from(st.departures.values())
+    .filter(d => d.timestamp >= nowSec - 30)
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .slice(0, rowsFit);
+
+  const live = ws && ws.readyState === WebSocket.OPEN;
+  const stale = st.degraded
+    ? "Live data delayed"
+    : !live && st.updatedAt && Date.now() - st.updatedAt > 2 * 60000
+      ? "Last update " + new Date(st.updatedAt).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })
+      : "";
+
+  div.innerHTML =
+    '<div class="head"><div class="name">' + escapeHtml(p.name) + '</div><div class="dir">' + escapeHtml(p.label) + "</div></div>" +
+    '<div class="stale">' + escapeHtml(stale) + "</div>" +
+    (deps.length
+      ? "<table>" + deps.map(d =>
+          '<tr><td class="route"><span class="' + pill(d.routeId) + '">' + escapeHtml(d.routeId || "?") + "</span></td>" +
+          "<td>" + escapeHtml(d.headsign || d.destination || "") + "</td>" +
+          '<td class="eta">' + etaText(d, nowSec) + "</td></tr>"
+        ).join("") + "</table>"
+      : '<div class="empty">' + (st.updatedAt ? "No upcoming trains" : "Loading…") + "</div>");
+}
+
+function render(){
+  panelsEl.innerHTML = "";
+  const start = page * perPage;
+  for (const p of CONFIG.panels.slice(start, start + perPage)) renderPanel(p);
+
+  const pages = pageCount();
+  pageEl.textContent = pages > 1 ? "Page " + (page + 1) + " of " + pages : "";
+}
+
+function tickClock(){
+  const now = new Date();
+  clockEl.textContent = now.toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+  dateEl.textContent = now.toLocaleDateString([], { weekday: "long", month: "long", day: "numeric" });
+}
+
+// ---------- live data: WebSocket with backoff, polling while it is down ----------
+const STALE_SOCKET_MS = 3 * 60000; // no message (heartbeats every 30s included) for this long = dead connection
+let ws = null;
+let retryMs = 1000;
+let lastMessageAt = 0;
+let reconnectTimer = null;
+
+function setConn(live){
+  connEl.textContent = live ? "Live" : navigator.onLine === false ? "Offline, retrying…" : "Reconnecting…";
+  connEl.className = live ? "conn" : "conn down";
+}
+
+function connect(){
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  if (ws) return;
+
+  let sock;
+  try {
+    sock = new WebSocket((location.protocol === "https:" ? "wss://" : "ws://") + location.host + "/mta/ws");
+  } catch (err) {
+    console.error(err);
+    return scheduleReconnect();
+  }
+  ws = sock;
+
+  sock.onopen = () => {
+    retryMs = 1000;
+    lastMessageAt = Date.now();
+    setConn(true);
+    for (const p of CONFIG.panels) {
+      sock.send(JSON.stringify({ type: "subscribe", id: p.key, stopIds: p.stopIds, lines: p.lines }));
+    }
+  };
+  sock.onmessage = (e) => {
+    lastMessageAt = Date.now();
+    let msg;
+    try {
+      msg = JSON.parse(e.data);
+    } catch {
+      return;
+    }
+    if (msg.type === "snapshot") setDepartures(msg.id, msg.departures, msg.degraded);
+    else if (msg.type === "diff") applyDiff(msg.id, msg);
+    else if (msg.type === "error") console.warn("Display subscription error", msg);
+    if (msg.type === "heartbeat") return; // liveness only, nothing to redraw
+    render();
+  };
+  sock.onclose = () => {
+    if (ws === sock) ws = null;
+    setConn(false);
+    scheduleReconnect();
+  };
+  sock.onerror = () => sock.close();
+}
+
+function scheduleReconnect(){
+  if (reconnectTimer) return;
+  pollAll();
+  reconnectTimer = setTimeout(connect, retryMs + Math.floor(Math.random() * 500));
+  retryMs = Math.min(30000, retryMs * 2);
+}
+
+// Plain HTTP fallback so panels stay fresh while the socket can't connect
+async function pollAll(){
+  for (const p of CONFIG.panels) {
+    const params = new URLSearchParams();
+    for (const id of p.stopIds) params.append("stopId", id);
+    for (const l of p.lines) params.append("line", l);
+    try {
+      const r = await fetch("/mta?" + params.toString(), { cache: "no-store" });
+      if (!r.ok) throw new Error("HTTP " + r.status);
+      const d = await r.json();
+      setDepartures(p.key, d.departures, d.degraded);
+    } catch (err) {
+      return; // still offline; the next reconnect attempt polls again
+    }
+  }
+  render();
+}
+
+// ---------- alerts ----------
+let alerts = [];
+let alertIdx = 0;
+
+async function loadAlerts(){
+  const url = new URL(location.origin + "/api/alerts");
+  for (const id of new Set(CONFIG.panels.flatMap(p => p.alertStopIds))) url.searchParams.append("stopId", id);
+  for (const l of new Set(CONFIG.panels.flatMap(p => p.lines))) url.searchParams.append("line", l);
+  url.searchParams.set("activeNow", "1");
+  url.searchParams.set("match", "any");
+  try {
+    const r = await fetch(url.toString(), { cache: "no-store" });
+    if (!r.ok) throw new Error("HTTP " + r.status);
+    alerts = ((await r.json()).alerts || []).filter(a => a.header);
+  } catch (err) {
+    console.error(err); // keep showing the last known alerts
+  }
+  showAlert();
+}
+
+function showAlert(){
+  if (!alerts.length) {
+    alertEl.textContent = "";
+    return;
+  }
+  alertIdx = (alertIdx + 1) % alerts.length;
+  const a = alerts[alertIdx];
+  alertEl.textContent = "⚠ " + a.header + (alerts.length > 1 ? "  (" + (alertIdx + 1) + "/" + alerts.length + ")" : "");
+}
+
+// ---------- boot ----------
+function showSetup(){
+  panelsEl.style.display = "block";
+  panelsEl.innerHTML =
+    '<div class="setup"><p>No stations configured for this display.</p>' +
+    (CONFIG.errors.length ? "<p>" + CONFIG.errors.map(escapeHtml).join("<br>") + "</p>" : "") +
+    "<p>Add panels to the address, e.g. <code>/display?panel=127&amp;panel=635:S&amp;panel=R20:N:N,Q,R</code> " +
+    "(station id, optional direction N/S, optional lines), or saved boards with <code>/display?board=my-board</code>. " +
+    "<code>rotate=20</code> sets seconds per page.</p></div>";
+}
+
+tickClock();
+setInterval(tickClock, 1000);
+
+if (!CONFIG.panels.length) {
+  showSetup();
+  connEl.textContent = "";
+} else {
+  if (CONFIG.errors.length) console.warn(CONFIG.errors.join("\\n"));
+  layout();
+  window.addEventListener("resize", layout);
+  connect();
+  loadAlerts();
+
+  setInterval(render, 15000); // ETAs count down between updates
+  setInterval(loadAlerts, 60000);
+  setInterval(showAlert, 8000);
+  setInterval(() => {
+    if (pageCount() < 2) return;
+    page = (page + 1) % pageCount();
+    render();
+  }, Math.max(5, CONFIG.rotateSec) * 1000);
+
+  // Dead-connection watchdog: a socket that is open but silent gets replaced
+  setInterval(() => {
+    if (ws && ws.readyState === WebSocket.OPEN && Date.now() - lastMessageAt > STALE_SOCKET_MS) ws.close();
+    if (!ws && !reconnectTimer) scheduleReconnect();
+  }, 30000);
+  window.addEventListener("online", () => {
+    retryMs = 1000;
+    if (!ws) connect();
+  });
+}
+</script>
+</body>
+</html>`;
+}
@@ -0,0 +1,158 @@
+// feed-cache.js
+// In-memory cache of decoded GTFS-realtime feeds, kept warm by a background poller.
+//
+// Usage:
+//   const cache = createFeedCache({ urls, fetchFeed, pollIntervalMs: 30000, maxAgeMs: 90000 });
+//   cache.start();
+//   const feeds = await cache.getMany(urls);
+//   const snapshots = await cache.getSnapshots(urls); // never throws; falls back to last-known-good
+//   const unsubscribe = cache.subscribe((url, entry) => { ... }); // called when a feed's data changes
+
+import { toNum } from "./numbers.js";
+
+function feedHeaderTimestamp(feed) {
+  return toNum(feed?.header?.timestamp);
+}
+
+export function createFeedCache({ urls = [], fetchFeed, pollIntervalMs = 30000, maxAgeMs = 90000 }) {
+  if (typeof fetchFeed !== "function") throw new Error("createFeedCache: fetchFeed is required");
+
+  // url -> { feed, feedTimestamp, fetchedAt }
+  const entries = new Map();
+  // url -> Promise of an in-flight refresh (so concurrent callers share one upstream request)
+  const inflight = new Map();
+  // url -> { message, at } for the most recent failed refresh (cleared on success)
+  const failures = new Map();
+  // listeners notified when a refresh brings a new snapshot (different header timestamp)
+  const listeners = new Set();
+
+  let timer = null;
+
+  function refresh(url) {
+    const pending = inflight.get(url);
+    if (pending) return pending;
+
+    const p = (async () => {
+      try {
+        const feed = await fetchFeed(url);
+        const entry = { feed, feedTimestamp: feedHeaderTimestamp(feed), fetchedAt: Date.now() };
+        const prev = entries.get(url);
+        entries.set(url, entry);
+        failures.delete(url);
+
+        const changed = !prev || !entry.feedTimestamp || prev.feedTimestamp !== entry.feedTimestamp;
+        if (changed) notify(url, entry);
+        return entry;
+      } catch (err) {
+        failures.set(url, { message: err.message, at: Date.now() });
+        throw err;
+      } finally {
+        inflight.delete(url);
+      }
+    })();
+
+    inflight.set(url, p);
+    return p;
+  }
+
+  function notify(url, entry) {
+    for (const fn of listeners) {
+      try {
+        fn(url, entry);
+      } catch (err) {
+        console.error(`Feed cache listener failed: ${err.message}`);
+      }
+    }
+  }
+
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function isFresh(entry) {
+    return !!entry && Date.now() - entry.fetchedAt <= maxAgeMs;
+  }
+
+  async function getEntry(url) {
+    const entry = entries.get(url);
+    if (isFresh(entry)) return entry;
+    return refresh(url);
+  }
+
+  async function get(url) {
+    return (await getEntry(url)).feed;
+  }
+
+  async function getMany(list) {
+    return Promise.all(list.map(get));
+  }
+
+  // ok    = fresh data, last refresh succeeded
+  // stale = serving last-known-good data (refresh failed or data older than max age)
+  // error = nothing decoded yet for this feed
+  function describe(url) {
+    const entry = entries.get(url);
+    const failure = failures.get(url);
+
+    let status = "error";
+    if (entry) status = isFresh(entry) && !failure ? "ok" : "stale";
+
+    return {
+      url,
+      status,
+      feed: entry?.feed ?? null,
+      feedTimestamp: entry?.feedTimestamp ?? null,
+      fetchedAtMs: entry?.fetchedAt ?? null,
+      fetchedAt: entry ? new Date(entry.fetchedAt).toISOString() : null,
+      ageSeconds: entry ? Math.round((Date.now() - entry.fetchedAt) / 1000) : null,
+      error: failure?.message ?? null,
+    };
+  }
+
+  async function getSnapshot(url) {
+    if (!isFresh(entries.get(url))) {
+      try {
+        await refresh(url);
+      } catch {
+        // fall through to last-known-good (or error) below
+      }
+    }
+    return describe(url);
+  }
+
+  async function getSnapshots(list) {
+    return Promise.all(list.map(getSnapshot));
+  }
+
+  async function pollOnce() {
+    await Promise.all(
+      urls.map((url) =>
+        refresh(url).catch((err) => {
+          console.error(`Feed poll failed for ${url}: ${err.message}`);
+        })
+      )
+    );
+  }
+
+  function start() {
+    if (timer) return;
+    pollOnce();
+    timer = setInterval(pollOnce, pollIntervalMs);
+    timer.unref?.();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  function status() {
+    return urls.map((url) => {
+      const { feed, fetchedAtMs, ...rest } = describe(url);
+      return { ...rest, refreshing: inflight.has(url) };
+    });
+  }
+
+  return { get, getEntry, getMany, getSnapshot, getSnapshots, refresh, start, stop, status, subscribe };
+}
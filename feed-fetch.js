@@ -0,0 +1,172 @@
+// feed-fetch.js
+// Upstream fetch layer for MTA feeds: per-request timeout, bounded retries with jittered
+// exponential backoff, and a per-URL circuit breaker.
+//
+// Usage:
+//   const fetcher = createFeedFetcher({ headers: { "x-api-key": KEY }, timeoutMs: 10000 });
+//   const buf = await fetcher.fetchBuffer(url); // Uint8Array
+//   fetcher.breakerState();                    // [{ url, state, failures, openUntil, ... }]
+//
+//   // Offline: serve feeds from files recorded earlier instead of the network
+//   createFeedFetcher({ fetchImpl: createSnapshotFetch("./snapshots") });
+
+import fs from "node:fs";
+import path from "node:path";
+import fetch from "node-fetch";
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Status codes worth retrying; anything else non-OK fails immediately.
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+export function createFeedFetcher({
+  headers = {},
+  timeoutMs = 10000,
+  retries = 2,
+  backoffBaseMs = 250,
+  backoffMaxMs = 4000,
+  breakerThreshold = 3,
+  breakerCooldownMs = 60000,
+  fetchImpl = fetch,
+} = {}) {
+  // url -> { state: "closed"|"open"|"half-open", failures, openedAt, openUntil, lastError, lastSuccessAt }
+  const breakers = new Map();
+
+  function breakerFor(url) {
+    let b = breakers.get(url);
+    if (!b) {
+      b = { state: "closed", failures: 0, openedAt: null, openUntil: null, lastError: null, lastSuccessAt: null };
+      breakers.set(url, b);
+    }
+    return b;
+  }
+
+  // Full jitter: random delay in [0, min(max, base * 2^attempt)]
+  function backoffDelay(attempt) {
+    const cap = Math.min(backoffMaxMs, backoffBaseMs * 2 ** attempt);
+    return Math.floor(Math.random() * cap);
+  }
+
+  async function attempt(url) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+      const res = await fetchImpl(url, { headers, signal: controller.signal });
+      if (!res.ok) {
+        const err = new Error(`MTA feed error: ${res.status} ${res.statusText}`);
+        err.retryable = isRetryableStatus(res.status);
+        throw err;
+      }
+      return new Uint8Array(await res.arrayBuffer());
+    } catch (err) {
+      if (err.name === "AbortError") {
+        const e = new Error(`MTA feed timeout after ${timeoutMs}ms`);
+        e.retryable = true;
+        throw e;
+      }
+      if (err.retryable == null) err.retryable = true; // network errors
+      throw err;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  function onSuccess(b) {
+    b.state = "closed";
+    b.failures = 0;
+    b.openedAt = null;
+    b.openUntil = null;
+    b.lastError = null;
+    b.lastSuccessAt = Date.now();
+  }
+
+  function onFailure(b, err) {
+    b.failures++;
+    b.lastError = err.message;
+    if (b.state === "half-open" || b.failures >= breakerThreshold) {
+      b.state = "open";
+      b.openedAt = Date.now();
+      b.openUntil = b.openedAt + breakerCooldownMs;
+    }
+  }
+
+  async function fetchBuffer(url) {
+    const b = breakerFor(url);
+
+    if (b.state === "open") {
+      const waitMs = b.openUntil - Date.now();
+      if (waitMs > 0) {
+        throw new Error(`Circuit open for ${url} (retry in ${Math.ceil(waitMs / 1000)}s)`);
+      }
+      // Cooldown over: let a single trial request through
+      b.state = "half-open";
+    }
+
+    // A half-open breaker gets exactly one try, no retries
+    const maxAttempts = b.state === "half-open" ? 1 : retries + 1;
+
+    let lastErr;
+    for (let i = 0; i < maxAttempts; i++) {
+      try {
+        const buf = await attempt(url);
+        onSuccess(b);
+        return buf;
+      } catch (err) {
+        lastErr = err;
+        if (!err.retryable || i === maxAttempts - 1) break;
+        await sleep(backoffDelay(i));
+      }
+    }
+
+    onFailure(b, lastErr);
+    throw lastErr;
+  }
+
+  function breakerState() {
+    const now = Date.now();
+    return Array.from(breakers.entries()).map(([url, b]) => ({
+      url,
+      state: b.state === "open" && b.openUntil <= now ? "half-open" : b.state,
+      failures: b.failures,
+      openedAt: b.openedAt ? new Date(b.openedAt).toISOString() : null,
+      openUntil: b.openUntil ? new Date(b.openUntil).toISOString() : null,
+      lastError: b.lastError,
+      lastSuccessAt: b.lastSuccessAt ? new Date(b.lastSuccessAt).toISOString() : null,
+    }));
+  }
+
+  return { fetchBuffer, breakerState };
+}
+
+// ".../mtagtfsfeeds/nyct%2Fgtfs-ace" -> "nyct-gtfs-ace.pb"
+export function snapshotFileName(url) {
+  const name = decodeURIComponent(String(url).split("/").pop() || "feed");
+  return name.replace(/[^A-Za-z0-9._-]+/g, "-") + ".pb";
+}
+
+// Save a fetched feed so it can be replayed later with createSnapshotFetch
+export function recordSnapshot(dir, url, buffer) {
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, snapshotFileName(url)), buffer);
+}
+
+// fetchImpl that answers from a directory of recorded feeds (404 for feeds that were not recorded)
+export function createSnapshotFetch(dir) {
+  return async (url) => {
+    const p = path.join(dir, snapshotFileName(url));
+    if (!fs.existsSync(p)) {
+      return { ok: false, status: 404, statusText: `No snapshot ${path.basename(p)}` };
+    }
+    const buf = fs.readFileSync(p);
+    return {
+      ok: true,
+      status: 200,
+      statusText: "OK",
+      arrayBuffer: async () => buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength),
+    };
+  };
+}
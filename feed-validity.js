@@ -0,0 +1,126 @@
+// feed-validity.js
+// How current the static GTFS is: the validity window (feed_info.txt or the calendar) against today,
+// and how many realtime trips no longer match a static trip, which is what a schedule change
+// looks like from the realtime side before the dates run out.
+//
+// Usage:
+//   validityStatus(gtfs.feedInfo, { timezone: gtfs.timezone });
+//   // -> { start, end, daysLeft, status: "ok" | "expiring" | "expired" | "not_started" | "unknown", message, ... }
+//
+//   const matches = createTripMatchTracker({ getGtfs: () => gtfs });
+//   feedCache.subscribe((url, entry) => matches.observeFeed(feedName(url), entry.feed));
+//   matches.summary(); // { trips, unmatched, unmatchedPercent, suspect, byRoute, feeds }
+
+import { serviceDateOf } from "./static-gtfs.js";
+
+// A handful of extra or rerouted trips is normal; a large share means the schedule moved on
+const DEFAULT_UNMATCHED_THRESHOLD = 0.2;
+const MIN_TRIPS_FOR_FLAG = 10;
+const MAX_EXAMPLES = 5;
+
+function daysBetween(a, b) {
+  const t = (s) => Date.UTC(Number(s.slice(0, 4)), Number(s.slice(4, 6)) - 1, Number(s.slice(6, 8)));
+  return Math.round((t(b) - t(a)) / 86400000);
+}
+
+function formatDate(d) {
+  return d ? `${d.slice(0, 4)}-${d.slice(4, 6)}-${d.slice(6, 8)}` : null;
+}
+
+// warnDays: "expiring" when the last service day is fewer than this many days away
+export function validityStatus(feedInfo, { now = new Date(), timezone = "America/New_York", warnDays = 14 } = {}) {
+  const today = serviceDateOf(now, timezone);
+  const out = { ...feedInfo, today, daysLeft: null, status: "unknown", message: "No service dates in the static GTFS" };
+  if (!feedInfo?.end) return out;
+
+  out.daysLeft = daysBetween(today, feedInfo.end);
+  if (feedInfo.start && today < feedInfo.start) {
+    out.status = "not_started";
+    out.message = `Static schedule starts ${formatDate(feedInfo.start)}; scheduled times may be wrong until then`;
+  } else if (out.daysLeft < 0) {
+    out.status = "expired";
+    out.message = `Static schedule expired ${formatDate(feedInfo.end)} (${-out.daysLeft} day(s) ago); scheduled times and delays are unreliable`;
+  } else if (out.daysLeft < warnDays) {
+    out.status = "expiring";
+    out.message = `Static schedule expires ${formatDate(feedInfo.end)} (in ${out.daysLeft} day(s))`;
+  } else {
+    out.status = "ok";
+    out.message = `Static schedule valid through ${formatDate(feedInfo.end)}`;
+  }
+  return out;
+}
+
+export function createTripMatchTracker({ getGtfs, threshold = DEFAULT_UNMATCHED_THRESHOLD, log = console }) {
+  // feed name -> { at, trips, unmatched, byRoute: Map(route -> { trips, unmatched }), examples, suspect }
+  const byFeed = new Map();
+
+  // Counts are per snapshot (replaced on every poll), not accumulated
+  function observeFeed(name, feed, { now = Date.now() } = {}) {
+    if (!feed) return;
+    const gtfs = getGtfs();
+    const entry = { at: now, trips: 0, unmatched: 0, byRoute: new Map(), examples: [], suspect: false };
+
+    for (const entity of feed.entity || []) {
+      const trip = entity.tripUpdate?.trip;
+      if (!trip?.tripId) continue;
+      const route = String(trip.routeId || "").toUpperCase() || "?";
+      let r = entry.byRoute.get(route);
+      if (!r) entry.byRoute.set(route, (r = { trips: 0, unmatched: 0 }));
+      entry.trips++;
+      r.trips++;
+      if (gtfs.matchTrip({ tripId: trip.tripId, startDate: trip.startDate })) continue;
+      entry.unmatched++;
+      r.unmatched++;
+      if (entry.examples.length < MAX_EXAMPLES) entry.examples.push(trip.tripId);
+    }
+
+    entry.suspect = entry.trips >= MIN_TRIPS_FOR_FLAG && entry.unmatched / entry.trips > threshold;
+    const wasSuspect = byFeed.get(name)?.suspect;
+    if (entry.suspect && !wasSuspect) {
+      log.warn(
+        `${entry.unmatched} of ${entry.trips} realtime trips in ${name} match no static trip; ` +
+          "the static schedule may be out of date"
+      );
+    } else if (!entry.suspect && wasSuspect) {
+      log.log(`Realtime trips in ${name} match the static schedule again`);
+    }
+    byFeed.set(name, entry);
+  }
+
+  function summary() {
+    let trips = 0;
+    let unmatched = 0;
+    const routes = new Map();
+    const feeds = [];
+    for (const [name, e] of byFeed) {
+      trips += e.trips;
+      unmatched += e.unmatched;
+      for (const [route, r] of e.byRoute) {
+        const acc = routes.get(route) || { route, trips: 0, unmatched: 0 };
+        acc.trips += r.trips;
+        acc.unmatched += r.unmatched;
+        routes.set(route, acc);
+      }
+      feeds.push({
+        feed: name,
+        at: new Date(e.at).toISOString(),
+        trips: e.trips,
+        unmatched: e.unmatched,
+        suspect: e.suspect,
+        examples: e.examples,
+      });
+    }
+    return {
+      trips,
+      unmatched,
+      unmatchedPercent: trips ? Math.round((unmatched / trips) * 1000) / 10 : null,
+      suspect: feeds.some((f) => f.suspect),
+      byRoute: Array.from(routes.values())
+        .filter((r) => r.unmatched)
+        .sort((a, b) => b.unmatched - a.unmatched),
+      feeds,
+    };
+  }
+
+  return { observeFeed, summary };
+}
@@ -0,0 +1,60 @@
+// geo.js
+// Small geographic helpers (WGS84 lat/lon in degrees).
+
+const EARTH_RADIUS_M = 6371008.8;
+
+function toRad(deg) {
+  return (deg * Math.PI) / 180;
+}
+
+// Great-circle distance in meters
+export function haversineMeters(lat1, lon1, lat2, lon2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Ray casting on one ring of [lon, lat] pairs
+function ringContains(ring, lon, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > lat !== yj > lat && lon < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// GeoJSON Polygon / MultiPolygon (first ring is the outline, the rest are holes)
+export function geometryContains(geometry, lat, lon) {
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  return polygons.some(
+    ([outer, ...holes]) => ringContains(outer, lon, lat) && !holes.some((h) => ringContains(h, lon, lat))
+  );
+}
+
+// Distance from a point to the nearest edge of a Polygon / MultiPolygon, in meters (local flat-earth
+// approximation, fine for the few hundred meters it's used for)
+export function distanceToGeometryMeters(geometry, lat, lon) {
+  const kx = Math.cos(toRad(lat)) * toRad(EARTH_RADIUS_M);
+  const ky = toRad(EARTH_RADIUS_M);
+  const polygons = geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  let best = Infinity;
+  for (const rings of polygons) {
+    for (const ring of rings) {
+      for (let i = 1; i < ring.length; i++) {
+        const ax = (ring[i - 1][0] - lon) * kx;
+        const ay = (ring[i - 1][1] - lat) * ky;
+        const bx = (ring[i][0] - lon) * kx;
+        const by = (ring[i][1] - lat) * ky;
+        const dx = bx - ax;
+        const dy = by - ay;
+        const len2 = dx * dx + dy * dy;
+        const t = len2 ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / len2)) : 0;
+        best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    }
+  }
+  return best;
+}
@@ -0,0 +1,102 @@
+// gtfs-source.js
+// Where a build reads static GTFS from: directories and/or .zip files (the MTA publishes
+// gtfs_subway.zip). Zips are unpacked once into a cache directory keyed by their content hash.
+//
+// Usage:
+//   const src = await openGtfsSources(["./gtfs_subway.zip", "."], { cacheDir: "./.build-cache" });
+//   src.file("stop_times.txt"); // first source that has it, or null
+//   src.dirs;                   // resolved directories, in lookup order
+
+import fs from "node:fs";
+import path from "node:path";
+import zlib from "node:zlib";
+import crypto from "node:crypto";
+
+export async function hashFile(filePath) {
+  const hash = crypto.createHash("sha1");
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk);
+  return hash.digest("hex");
+}
+
+// Minimal zip reader (stored + deflated entries, no zip64): name -> Buffer for each file entry
+export function readZipEntries(buf) {
+  const EOCD = 0x06054b50;
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i--) {
+    if (buf.readUInt32LE(i) === EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd === -1) throw new Error("Not a zip file (no end of central directory)");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  if (p === 0xffffffff) throw new Error("zip64 archives are not supported");
+
+  const entries = new Map();
+  for (let n = 0; n < count; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) throw new Error("Corrupt zip central directory");
+    const method = buf.readUInt16LE(p + 10);
+    const compressedSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const localOffset = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+    p += 46 + nameLen + extraLen + commentLen;
+
+    if (name.endsWith("/")) continue; // directory entry
+    if (compressedSize === 0xffffffff || localOffset === 0xffffffff) throw new Error("zip64 archives are not supported");
+
+    const start = localOffset + 30 + buf.readUInt16LE(localOffset + 26) + buf.readUInt16LE(localOffset + 28);
+    const data = buf.subarray(start, start + compressedSize);
+    if (method === 0) entries.set(name, data);
+    else if (method === 8) entries.set(name, zlib.inflateRawSync(data));
+    else throw new Error(`Unsupported zip compression method ${method} for ${name}`);
+  }
+  return entries;
+}
+
+// Unpack a GTFS zip into <cacheDir>/gtfs-<hash>/ unless that was already done
+async function extractZip(zipPath, cacheDir, log) {
+  const hash = await hashFile(zipPath);
+  const dir = path.join(cacheDir, `gtfs-${hash.slice(0, 16)}`);
+  if (fs.existsSync(path.join(dir, ".complete"))) {
+    log(`source: ${zipPath} already unpacked (${dir})`);
+    return dir;
+  }
+
+  log(`source: unpacking ${zipPath}`);
+  const tmp = `${dir}.tmp-${process.pid}`;
+  fs.rmSync(tmp, { recursive: true, force: true });
+  fs.mkdirSync(tmp, { recursive: true });
+  for (const [name, data] of readZipEntries(fs.readFileSync(zipPath))) {
+    // GTFS files live at the top level; some zips wrap them in a folder
+    fs.writeFileSync(path.join(tmp, path.basename(name)), data);
+  }
+  fs.writeFileSync(path.join(tmp, ".complete"), zipPath);
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.renameSync(tmp, dir);
+  return dir;
+}
+
+export async function openGtfsSources(sources, { cacheDir, log = console.log } = {}) {
+  const dirs = [];
+  for (const src of Array.isArray(sources) ? sources : [sources]) {
+    if (!fs.existsSync(src)) throw new Error(`GTFS source not found: ${src}`);
+    if (fs.statSync(src).isDirectory()) dirs.push(src);
+    else if (src.toLowerCase().endsWith(".zip")) dirs.push(await extractZip(src, cacheDir, log));
+    else throw new Error(`GTFS source must be a directory or .zip: ${src}`);
+  }
+
+  function file(name) {
+    for (const d of dirs) {
+      const p = path.join(d, name);
+      if (fs.existsSync(p)) return p;
+    }
+    return null;
+  }
+
+  return { dirs, file };
+}
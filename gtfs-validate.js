@@ -0,0 +1,285 @@
+// gtfs-validate.js
+// Static GTFS checks run before anything is built from a feed: required files, duplicate ids,
+// referential integrity (trips -> routes/services, stop_times -> trips/stops, parent_station,
+// transfers), calendar coverage (gaps, expiry) and stations without N/S platforms.
+//
+// Usage:
+//   const report = await validateGtfs({ dirs: ["./gtfs", "."] });
+//   report.ok;      // false if there is any error
+//   report.issues;  // [{ severity: "error" | "warning", code, file, message, count, examples }]
+//   report.calendar // { start, end, daysLeft, gaps: [{ from, to, days }] }
+//
+// Files are looked up in each dir in order, like the server does (calendar*.txt may sit in the
+// project root while the rest is in ./gtfs).
+
+import fs from "node:fs";
+import path from "node:path";
+import { parse } from "csv-parse";
+import { parse as parseSync } from "csv-parse/sync";
+import { serviceDateOf, addDays } from "./static-gtfs.js";
+
+const REQUIRED_FILES = ["agency.txt", "stops.txt", "routes.txt", "trips.txt"];
+const MAX_EXAMPLES = 10;
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+function findFile(dirs, name) {
+  for (const d of dirs) {
+    const p = path.join(d, name);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+function readCsv(file) {
+  const text = fs.readFileSync(file, "utf8").replace(/^\uFEFF/, "");
+  return parseSync(text, { columns: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+}
+
+function streamCsv(file) {
+  return fs.createReadStream(file).pipe(parse({ columns: true, relax_quotes: true, relax_column_count: true, trim: true }));
+}
+
+function isDate(s) {
+  return /^\d{8}$/.test(String(s || ""));
+}
+
+function daysBetween(a, b) {
+  const t = (s) => Date.UTC(Number(s.slice(0, 4)), Number(s.slice(4, 6)) - 1, Number(s.slice(6, 8)));
+  return Math.round((t(b) - t(a)) / 86400000);
+}
+
+// Issues are grouped by code: one entry per kind of problem with a count and a few examples
+function createCollector() {
+  const byCode = new Map();
+  function add(severity, code, file, message, example) {
+    let issue = byCode.get(code);
+    if (!issue) byCode.set(code, (issue = { severity, code, file, message, count: 0, examples: [] }));
+    issue.count++;
+    if (example !== undefined && issue.examples.length < MAX_EXAMPLES) issue.examples.push(example);
+  }
+  return {
+    error: (...args) => add("error", ...args),
+    warning: (...args) => add("warning", ...args),
+    list: () => Array.from(byCode.values()).sort((a, b) => (a.severity === b.severity ? 0 : a.severity === "error" ? -1 : 1)),
+  };
+}
+
+// ids seen more than once in a column -> reported under `${prefix}_duplicate_id`
+function checkDuplicates(rows, column, file, issues) {
+  const seen = new Set();
+  for (const r of rows) {
+    const id = r[column];
+    if (!id) {
+      issues.error(`${file.replace(".txt", "")}_missing_id`, file, `rows without ${column}`);
+      continue;
+    }
+    if (seen.has(id)) issues.error(`${file.replace(".txt", "")}_duplicate_id`, file, `duplicate ${column}`, id);
+    seen.add(id);
+  }
+  return seen;
+}
+
+// -> { start, end, daysLeft, gaps } over the services trips actually use
+function checkCalendar({ calendar, calendarDates, usedServices, today, horizonDays, issues }) {
+  const weekly = calendar.filter((c) => !usedServices.size || usedServices.has(c.service_id));
+  const exceptions = new Map(); // date -> { added: Set, removed: Set }
+  for (const r of calendarDates) {
+    if (!isDate(r.date)) {
+      issues.error("calendar_dates_bad_date", "calendar_dates.txt", "date is not YYYYMMDD", r.date);
+      continue;
+    }
+    let e = exceptions.get(r.date);
+    if (!e) exceptions.set(r.date, (e = { added: new Set(), removed: new Set() }));
+    if (r.exception_type === "1") e.added.add(r.service_id);
+    else if (r.exception_type === "2") e.removed.add(r.service_id);
+    else issues.error("calendar_dates_bad_exception_type", "calendar_dates.txt", "exception_type must be 1 or 2", `${r.service_id} ${r.date}`);
+  }
+
+  const dates = [];
+  for (const c of weekly) {
+    if (!isDate(c.start_date) || !isDate(c.end_date)) {
+      issues.error("calendar_bad_date", "calendar.txt", "start_date/end_date must be YYYYMMDD", c.service_id);
+      continue;
+    }
+    if (c.end_date < c.start_date) issues.error("calendar_inverted_range", "calendar.txt", "end_date before start_date", c.service_id);
+    if (!WEEKDAYS.some((d) => c[d] === "1")) issues.warning("calendar_no_weekdays", "calendar.txt", "service runs on no day of the week", c.service_id);
+    dates.push(c.start_date, c.end_date);
+  }
+  for (const [date, e] of exceptions) if (e.added.size) dates.push(date);
+  if (!dates.length) {
+    issues.error("calendar_empty", "calendar.txt", "no service dates in calendar.txt or calendar_dates.txt");
+    return { start: null, end: null, daysLeft: null, gaps: [] };
+  }
+  dates.sort();
+  const start = dates[0];
+  const end = dates[dates.length - 1];
+
+  function running(date) {
+    const utc = new Date(Date.UTC(Number(date.slice(0, 4)), Number(date.slice(4, 6)) - 1, Number(date.slice(6, 8))));
+    const day = WEEKDAYS[utc.getUTCDay()];
+    const active = new Set(weekly.filter((c) => c[day] === "1" && date >= c.start_date && date <= c.end_date).map((c) => c.service_id));
+    const e = exceptions.get(date);
+    for (const s of e?.removed || []) active.delete(s);
+    for (const s of e?.added || []) if (!usedServices.size || usedServices.has(s)) active.add(s);
+    return active.size > 0;
+  }
+
+  // Days inside the covered range with no trips at all
+  const gaps = [];
+  let gap = null;
+  for (let d = start; d <= end; d = addDays(d, 1)) {
+    if (!running(d)) {
+      if (!gap) gaps.push((gap = { from: d, to: d, days: 0 }));
+      gap.to = d;
+      gap.days++;
+    } else gap = null;
+  }
+  for (const g of gaps) issues.warning("calendar_gap", "calendar.txt", "dates with no scheduled service", g);
+
+  const daysLeft = daysBetween(today, end);
+  if (daysLeft < 0) {
+    issues.warning("calendar_expired", "calendar.txt", `service ended ${end}, ${-daysLeft} day(s) before ${today}`, end);
+  } else if (daysLeft < horizonDays) {
+    issues.warning("calendar_ending_soon", "calendar.txt", `service ends ${end}, in ${daysLeft} day(s)`, end);
+  }
+  if (start > today) issues.warning("calendar_not_started", "calendar.txt", `service starts ${start}, after ${today}`, start);
+
+  return { start, end, daysLeft, gaps };
+}
+
+// today: "YYYYMMDD" (default: today in the agency's timezone); horizonDays: warn when service ends sooner
+export async function validateGtfs({ dirs = ["./gtfs", "."], today = null, horizonDays = 14 } = {}) {
+  const issues = createCollector();
+  const files = {};
+  const load = (name) => {
+    const file = findFile(dirs, name);
+    if (!file) return null;
+    const rows = readCsv(file);
+    files[name] = { path: file, rows: rows.length };
+    return rows;
+  };
+
+  for (const name of REQUIRED_FILES) {
+    if (!findFile(dirs, name)) issues.error("missing_file", name, "required file not found", name);
+  }
+
+  const agency = load("agency.txt") || [];
+  const timezone = agency[0]?.agency_timezone || "America/New_York";
+  today = today || serviceDateOf(new Date(), timezone);
+
+  // ---------- stops ----------
+  const stops = load("stops.txt") || [];
+  const stopIds = checkDuplicates(stops, "stop_id", "stops.txt", issues);
+  const stopById = new Map(stops.map((s) => [s.stop_id, s]));
+  const childrenOf = new Map();
+  for (const s of stops) {
+    if (s.stop_lat === "" || s.stop_lon === "" || !Number.isFinite(Number(s.stop_lat)) || !Number.isFinite(Number(s.stop_lon))) {
+      issues.error("stops_bad_coordinates", "stops.txt", "stop_lat/stop_lon missing or not numbers", s.stop_id);
+    }
+    if (!s.parent_station) continue;
+    const parent = stopById.get(s.parent_station);
+    if (!parent) {
+      issues.error("stops_unknown_parent_station", "stops.txt", "parent_station not in stops.txt", `${s.stop_id} -> ${s.parent_station}`);
+      continue;
+    }
+    if (parent.location_type !== "1") {
+      issues.warning("stops_parent_not_station", "stops.txt", "parent_station is not a location_type 1 station", `${s.stop_id} -> ${s.parent_station}`);
+    }
+    if (!childrenOf.has(s.parent_station)) childrenOf.set(s.parent_station, []);
+    childrenOf.get(s.parent_station).push(s.stop_id);
+  }
+
+  // Departure boards pick a platform by its N/S suffix
+  for (const s of stops) {
+    if (s.location_type !== "1") continue;
+    const suffixes = new Set((childrenOf.get(s.stop_id) || []).map((id) => id.slice(-1).toUpperCase()));
+    if (!suffixes.has("N") && !suffixes.has("S")) {
+      issues.error("station_without_platforms", "stops.txt", "station has no N or S platform", `${s.stop_id} ${s.stop_name}`);
+    } else if (!suffixes.has("N") || !suffixes.has("S")) {
+      issues.warning("station_missing_direction", "stops.txt", "station has only one of its N/S platforms", `${s.stop_id} ${s.stop_name} (${[...suffixes].join("")})`);
+    }
+  }
+
+  // ---------- routes ----------
+  const routes = load("routes.txt") || [];
+  const routeIds = checkDuplicates(routes, "route_id", "routes.txt", issues);
+  for (const r of routes) {
+    if (r.agency_id && agency.length > 1 && !agency.some((a) => a.agency_id === r.agency_id)) {
+      issues.error("routes_unknown_agency", "routes.txt", "agency_id not in agency.txt", `${r.route_id} -> ${r.agency_id}`);
+    }
+  }
+
+  // ---------- calendar ----------
+  const calendar = load("calendar.txt") || [];
+  const calendarDates = load("calendar_dates.txt") || [];
+  if (!files["calendar.txt"] && !files["calendar_dates.txt"]) {
+    issues.error("missing_file", "calendar.txt", "calendar.txt or calendar_dates.txt is required", "calendar.txt");
+  }
+  checkDuplicates(calendar, "service_id", "calendar.txt", issues);
+  const serviceIds = new Set([...calendar.map((c) => c.service_id), ...calendarDates.map((c) => c.service_id)]);
+
+  // ---------- trips ----------
+  const trips = load("trips.txt") || [];
+  const tripIds = checkDuplicates(trips, "trip_id", "trips.txt", issues);
+  const usedServices = new Set();
+  for (const t of trips) {
+    if (!routeIds.has(t.route_id)) issues.error("trips_unknown_route", "trips.txt", "route_id not in routes.txt", `${t.trip_id} -> ${t.route_id}`);
+    if (!serviceIds.has(t.service_id)) {
+      issues.error("trips_unknown_service", "trips.txt", "service_id not in calendar.txt/calendar_dates.txt", `${t.trip_id} -> ${t.service_id}`);
+    }
+    usedServices.add(t.service_id);
+  }
+
+  const calendarReport = checkCalendar({ calendar, calendarDates, usedServices, today, horizonDays, issues });
+
+  // ---------- transfers ----------
+  for (const t of load("transfers.txt") || []) {
+    for (const id of [t.from_stop_id, t.to_stop_id]) {
+      if (!stopIds.has(id)) issues.error("transfers_unknown_stop", "transfers.txt", "stop id not in stops.txt", `${t.from_stop_id} -> ${t.to_stop_id}`);
+    }
+  }
+
+  // ---------- stop_times (streamed, it's the big one) ----------
+  const stopTimesFile = findFile(dirs, "stop_times.txt");
+  if (!stopTimesFile) {
+    issues.warning("stop_times_missing", "stop_times.txt", "stop_times.txt not found; schedule checks skipped");
+  } else {
+    let rows = 0;
+    const tripsWithStops = new Set();
+    // Rows come grouped by trip, so sequences are only compared within the current run of a trip
+    let seqTrip = null;
+    let seqSeen = new Set();
+    for await (const r of streamCsv(stopTimesFile)) {
+      rows++;
+      if (!tripIds.has(r.trip_id)) issues.error("stop_times_unknown_trip", "stop_times.txt", "trip_id not in trips.txt", r.trip_id);
+      if (!stopIds.has(r.stop_id)) issues.error("stop_times_unknown_stop", "stop_times.txt", "stop_id not in stops.txt", `${r.trip_id} -> ${r.stop_id}`);
+      if (r.trip_id !== seqTrip) {
+        seqTrip = r.trip_id;
+        seqSeen = new Set();
+      }
+      if (seqSeen.has(r.stop_sequence)) {
+        issues.error("stop_times_duplicate_sequence", "stop_times.txt", "duplicate (trip_id, stop_sequence)", `${r.trip_id} #${r.stop_sequence}`);
+      }
+      seqSeen.add(r.stop_sequence);
+      tripsWithStops.add(r.trip_id);
+    }
+    files["stop_times.txt"] = { path: stopTimesFile, rows };
+    for (const id of tripIds) {
+      if (!tripsWithStops.has(id)) issues.warning("trips_without_stop_times", "trips.txt", "trip has no stop_times", id);
+    }
+  }
+
+  const list = issues.list();
+  const errors = list.filter((i) => i.severity === "error").reduce((n, i) => n + i.count, 0);
+  const warnings = list.filter((i) => i.severity === "warning").reduce((n, i) => n + i.count, 0);
+  return {
+    ok: errors === 0,
+    generatedAt: new Date().toISOString(),
+    today,
+    dirs,
+    files,
+    summary: { errors, warnings },
+    calendar: calendarReport,
+    issues: list,
+  };
+}
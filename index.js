@@ -1,9 +1,27 @@
 // index.js
 import express from "express";
-import fetch from "node-fetch";
-import GtfsRealtimeBindings from "gtfs-realtime-bindings";
 import fs from "node:fs";
 import path from "node:path";
+import { createFeedCache } from "./feed-cache.js";
+import { createFeedFetcher, createSnapshotFetch, recordSnapshot } from "./feed-fetch.js";
+import { tripDirection, serviceDateOf, parseMtaTripId, DIRECTION_LABELS } from "./static-gtfs.js";
+import { decodeAlerts, filterAlerts } from "./alerts.js";
+import { extractVehicles, vehiclesToGeoJson } from "./vehicles.js";
+import { attachDeparturesSocket } from "./departures-socket.js";
+import { haversineMeters } from "./geo.js";
+import { toNum } from "./numbers.js";
+import { searchStations } from "./station-search.js";
+import { createPerformanceTracker } from "./performance.js";
+import { findTripDetail } from "./trip-detail.js";
+import { decodeNyctFeed, stopTrack, tripTrain } from "./nyct-realtime.js";
+import { createJourneyPlanner } from "./planner.js";
+import { createBoardStore } from "./boards-store.js";
+import { renderDisplayPage } from "./display-page.js";
+import { createApiKeyAuth } from "./api-keys.js";
+import { currentDatasetDir, CURRENT_FILE } from "./datasets.js";
+import { createDatasetManager } from "./dataset-manager.js";
+import { validityStatus, createTripMatchTracker } from "./feed-validity.js";
+import { ROUTE_CLASS, routeColorCss } from "./route-colors.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -11,6 +29,51 @@ const PORT = process.env.PORT || 3000;
 // Optional (works without it)
 const MTA_API_KEY = process.env.MTA_API_KEY || "";
 
+// SSE: keep-alive comment interval for /mta/stream
+const SSE_HEARTBEAT_MS = Number(process.env.SSE_HEARTBEAT_MS) || 15000;
+
+// Line performance: how far back delay samples count
+const PERFORMANCE_WINDOW_SEC = Number(process.env.PERFORMANCE_WINDOW_SEC) || 3 * 3600;
+
+// WebSocket: drop clients with more than this many bytes waiting to be sent
+const WS_MAX_BUFFERED_BYTES = Number(process.env.WS_MAX_BUFFERED_BYTES) || 1024 * 1024;
+
+// Feed cache: poll every feed in the background, force a refresh if a cached copy is older than max age
+const FEED_POLL_INTERVAL_MS = Number(process.env.FEED_POLL_INTERVAL_MS) || 30000;
+const FEED_MAX_AGE_MS = Number(process.env.FEED_MAX_AGE_MS) || 90000;
+
+// Upstream fetch: timeout per request, retries with backoff, circuit breaker per feed
+const FEED_TIMEOUT_MS = Number(process.env.FEED_TIMEOUT_MS) || 10000;
+const FEED_RETRIES = Number(process.env.FEED_RETRIES ?? 2);
+const FEED_BREAKER_THRESHOLD = Number(process.env.FEED_BREAKER_THRESHOLD) || 3;
+const FEED_BREAKER_COOLDOWN_MS = Number(process.env.FEED_BREAKER_COOLDOWN_MS) || 60000;
+
+// Recorded realtime: replay feeds from FEED_SNAPSHOT_DIR instead of the MTA (offline use and tests),
+// or save every fetched feed to FEED_RECORD_DIR to build such a snapshot
+const FEED_SNAPSHOT_DIR = process.env.FEED_SNAPSHOT_DIR || "";
+const FEED_RECORD_DIR = process.env.FEED_RECORD_DIR || "";
+
+// Client API keys + rate limits; without this file the proxy is open to everyone
+const API_KEYS_FILE = process.env.API_KEYS_FILE || path.join(process.cwd(), "api-keys.json");
+
+// Saved boards (named station/direction/lines presets)
+const BOARDS_FILE = process.env.BOARDS_FILE || path.join(process.cwd(), "boards.json");
+
+// Published dataset from `npm run build` (datasets/CURRENT); DATASET_DIR pins a specific version
+const DATASETS_DIR = process.env.DATASETS_DIR || path.join(process.cwd(), "datasets");
+const DATASET_DIR = process.env.DATASET_DIR || "";
+
+// GTFS_DIR / STATIONS_UI_FILE override the dataset's copies (defaults: the dataset, else ./gtfs and
+// ./stations-ui.json; calendar*.txt may also sit in the project root)
+const GTFS_DIR = process.env.GTFS_DIR || "";
+const STATIONS_UI_FILE = process.env.STATIONS_UI_FILE || "";
+
+// How often dataset files are checked for changes (0 disables watching; POST /api/admin/reload still works)
+const DATASET_WATCH_INTERVAL_MS = Number(process.env.DATASET_WATCH_INTERVAL_MS ?? 5000);
+
+// Warn (log + UI banner) once the static schedule ends within this many days
+const DATASET_EXPIRY_WARN_DAYS = Number(process.env.DATASET_EXPIRY_WARN_DAYS) || 14;
+
 // If no line is provided, we’ll fetch ALL feeds (fallback)
 const ALL_FEEDS = [
   "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-ace",
@@ -23,6 +86,10 @@ const ALL_FEEDS = [
   "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/nyct%2Fgtfs-si",
 ];
 
+// Service alerts (all subway lines in one feed)
+const ALERTS_FEED = "https://api-endpoint.mta.info/Dataservice/mtagtfsfeeds/camsys%2Fsubway-alerts";
+const ALERTS_POLL_INTERVAL_MS = Number(process.env.ALERTS_POLL_INTERVAL_MS) || 60000;
+
 // Map: LINE -> FEED URL
 // Note: S appears in multiple docs; for practical use we map S to the main "gtfs" feed.
 const FEED_BY_LINE = {
@@ -79,13 +146,23 @@ function normalizeLine(x) {
 }
 
 function readStationsUi() {
-  const p = path.join(process.cwd(), "stations-ui.json");
-  if (!fs.existsSync(p)) return null;
-  try {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
-  } catch {
-    return null;
-  }
+  return datasets.current().stations;
+}
+
+// Look up a station (or station complex) record by id; a complex member id finds its complex
+function findStation(id) {
+  return datasets.findStation(id);
+}
+
+// Platforms of a station: a complex id ("complex-127") expands to every member's platforms; a member
+// id ("A27") stays a single station but still finds its complex record for the line list
+function resolveStationStops(id) {
+  id = String(id);
+  const station = findStation(id);
+  const isComplex = String(station?.id) === id && !!station?.members?.length;
+  const lines = ((isComplex ? null : station?.memberLines?.[id]) || station?.lines || []).map(normalizeLine);
+  const members = isComplex ? station.members.map(String) : [id];
+  return { station, isComplex, lines, members, stopIds: members.flatMap((m) => currentGtfs().platformsFor(m)) };
 }
 
 function pickFeedUrlsForLines(lines) {
@@ -101,23 +178,112 @@ function pickFeedUrlsForLines(lines) {
   return set.size ? Array.from(set) : ALL_FEEDS;
 }
 
-// ---------- fetch + decode only needed feeds ----------
+// ---------- datasets: stations + static GTFS (hot reloaded) ----------
+// Re-resolved on every reload, so publishing a new build switches the server over
+function locateDataset() {
+  const dir = DATASET_DIR || currentDatasetDir(DATASETS_DIR);
+  const stationsFile =
+    STATIONS_UI_FILE ||
+    [dir && path.join(dir, "stations-ui.json"), path.join(process.cwd(), "stations-ui.json")].find(
+      (p) => p && fs.existsSync(p)
+    ) ||
+    path.join(process.cwd(), "stations-ui.json");
+  const gtfsDir = GTFS_DIR || (dir ? path.join(dir, "gtfs") : path.join(process.cwd(), "gtfs"));
+  return {
+    dir,
+    stationsFile,
+    gtfsDirs: [gtfsDir, process.cwd()],
+    watch: DATASET_DIR ? [] : [path.join(DATASETS_DIR, CURRENT_FILE)],
+  };
+}
+
+const datasets = createDatasetManager({ locate: locateDataset, watchIntervalMs: DATASET_WATCH_INTERVAL_MS });
+
+function currentGtfs() {
+  return datasets.current().gtfs;
+}
+
+// stop_times.txt is large, so the schedule loads in the background; until then only realtime is served
+function currentSchedule() {
+  return datasets.current().schedule;
+}
+
+// Scheduled time of a realtime stop from static GTFS, and how late the prediction is against it
+function scheduleDelay(staticTrip, stopId, time, startDate) {
+  const schedule = currentSchedule();
+  if (!schedule?.loaded || !staticTrip) return { scheduledTime: null, delaySeconds: null };
+  const serviceDate = startDate || serviceDateOf(new Date(), currentGtfs().timezone);
+  const scheduledTime = schedule.scheduledTime(staticTrip.tripId, stopId, serviceDate);
+  return { scheduledTime, delaySeconds: scheduledTime == null ? null : time - scheduledTime };
+}
+
+// ---------- fetch + decode a single feed ----------
+const feedFetcher = createFeedFetcher({
+  headers: MTA_API_KEY ? { "x-api-key": MTA_API_KEY } : {},
+  timeoutMs: FEED_TIMEOUT_MS,
+  retries: FEED_RETRIES,
+  breakerThreshold: FEED_BREAKER_THRESHOLD,
+  breakerCooldownMs: FEED_BREAKER_COOLDOWN_MS,
+  ...(FEED_SNAPSHOT_DIR ? { fetchImpl: createSnapshotFetch(FEED_SNAPSHOT_DIR) } : {}),
+});
+
+async function fetchFeed(url) {
+  const buffer = await feedFetcher.fetchBuffer(url);
+  if (FEED_RECORD_DIR) recordSnapshot(FEED_RECORD_DIR, url, buffer);
+  return decodeNyctFeed(buffer);
+}
+
+const feedCache = createFeedCache({
+  urls: ALL_FEEDS,
+  fetchFeed,
+  pollIntervalMs: FEED_POLL_INTERVAL_MS,
+  maxAgeMs: FEED_MAX_AGE_MS,
+});
+
+function feedName(url) {
+  return decodeURIComponent(String(url).split("/").pop() || url);
+}
+
+const alertsCache = createFeedCache({
+  urls: [ALERTS_FEED],
+  fetchFeed,
+  pollIntervalMs: ALERTS_POLL_INTERVAL_MS,
+  maxAgeMs: ALERTS_POLL_INTERVAL_MS * 3,
+});
+
+// Delay statistics: every new snapshot of a feed is compared against the schedule
+const linePerformance = createPerformanceTracker({
+  getGtfs: currentGtfs,
+  getSchedule: currentSchedule,
+  windowSec: PERFORMANCE_WINDOW_SEC,
+});
+feedCache.subscribe((url, entry) => linePerformance.observeFeed(entry.feed));
+
+// Realtime trips with no static counterpart: many of them means the schedule changed under us
+const tripMatches = createTripMatchTracker({ getGtfs: currentGtfs });
+feedCache.subscribe((url, entry) => tripMatches.observeFeed(feedName(url), entry.feed));
+
+// Journey planner: realtime trips from the feed cache, schedule for lines without realtime
+const journeyPlanner = createJourneyPlanner({ getGtfs: currentGtfs, getSchedule: currentSchedule });
+
+// ---------- serve only needed feeds from the cache ----------
+// Never throws: a failing feed falls back to its last-known-good snapshot (or is skipped if it has none).
 async function fetchFeedsForLines(lines) {
-  const urls = pickFeedUrlsForLines(lines);
-
-  const headers = {};
-  if (MTA_API_KEY) headers["x-api-key"] = MTA_API_KEY;
-
-  const feeds = await Promise.all(
-    urls.map(async (url) => {
-      const res = await fetch(url, { headers });
-      if (!res.ok) throw new Error(`MTA feed error: ${res.status} ${res.statusText}`);
-      const buffer = await res.arrayBuffer();
-      return GtfsRealtimeBindings.transit_realtime.FeedMessage.decode(new Uint8Array(buffer));
-    })
-  );
+  const snapshots = await feedCache.getSnapshots(pickFeedUrlsForLines(lines));
+
+  const feeds = snapshots.filter((s) => s.feed).map((s) => s.feed);
+  const feedStatus = snapshots.map((s) => ({
+    feed: feedName(s.url),
+    status: s.status,
+    ageSeconds: s.ageSeconds,
+    ...(s.error ? { error: s.error } : {}),
+  }));
+  const degraded = feedStatus.some((s) => s.status !== "ok");
+
+  // Changes whenever any of these feeds gets a new snapshot (used as the SSE event id)
+  const version = snapshots.map((s) => s.feedTimestamp ?? s.fetchedAtMs ?? "-").join(".");
 
-  return feeds;
+  return { feeds, feedStatus, degraded, version };
 }
 
 // ---------- extract departures (stopId required, optional line filter) ----------
@@ -142,16 +308,20 @@ function filterDeparturesForStops(feeds, stopIds, allowedLines = []) {
         entity.tripUpdate.trip?.tripId ||
         entity.tripUpdate.trip?.trip_id ||
         "";
+      const startDate = entity.tripUpdate.trip?.startDate;
+      const staticTrip = currentGtfs().matchTrip({ tripId, startDate });
+      const train = tripTrain(entity.tripUpdate.trip);
+
+      // Last stop in the update = where this train terminates
+      const stus = entity.tripUpdate.stopTimeUpdate;
+      const destinationStopId = stus.length ? stus[stus.length - 1].stopId || null : null;
+      const destination = destinationStopId ? currentGtfs().stopName(destinationStopId) : null;
 
       entity.tripUpdate.stopTimeUpdate.forEach((stu) => {
         const stopId = stu.stopId;
         if (!stopId || !stopSet.has(stopId)) return;
 
-        const t =
-          stu.arrival?.time?.toNumber?.() ??
-          stu.arrival?.time ??
-          stu.departure?.time?.toNumber?.() ??
-          stu.departure?.time;
+        const t = toNum(stu.arrival?.time) ?? toNum(stu.departure?.time);
 
         if (!t) return;
 
@@ -165,8 +335,18 @@ function filterDeparturesForStops(feeds, stopIds, allowedLines = []) {
         departures.push({
           routeId,
           stopId,
+          tripId,
+          headsign: staticTrip?.headsign || destination,
+          direction: tripDirection(staticTrip, tripId, stopId),
+          destinationStopId,
+          destination,
           timestamp: t,
           etaMinutes: Math.round(etaSec / 60),
+          ...scheduleDelay(staticTrip, stopId, t, startDate),
+          staticMatch: !!staticTrip,
+          ...train,
+          ...stopTrack(stu),
+          source: "realtime",
         });
       });
     });
@@ -176,6 +356,46 @@ function filterDeparturesForStops(feeds, stopIds, allowedLines = []) {
   return departures;
 }
 
+// ---------- scheduled fallback ----------
+// Add static-schedule departures for every stop/route pair that has no realtime prediction
+// (late nights, SIR, feed outages). Routes with any realtime train at a stop keep realtime only.
+function mergeScheduledDepartures(departures, stopIds, lines) {
+  const schedule = currentSchedule();
+  if (!schedule?.loaded) return departures;
+
+  const covered = new Set(departures.map((d) => `${d.stopId}|${d.routeId}`));
+  const scheduled = schedule
+    .nextDepartures(stopIds, { lines: lines.map(normalizeLine), limit: 20 })
+    .filter((d) => !covered.has(`${d.stopId}|${d.routeId}`));
+
+  return [...departures, ...scheduled].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// ---------- departures payload shared by /mta and /mta/stream ----------
+// scheduled: false to return realtime predictions only
+async function buildDeparturesPayload(stopIds, lines, { scheduled = true } = {}) {
+  const { feeds, feedStatus, degraded, version } = await fetchFeedsForLines(lines);
+  let departures = filterDeparturesForStops(feeds, stopIds, lines);
+  if (scheduled) departures = mergeScheduledDepartures(departures, stopIds, lines);
+
+  return {
+    version,
+    body: {
+      stops: stopIds,
+      lines: lines.map(normalizeLine),
+      lastUpdated: new Date().toISOString(),
+      degraded,
+      feeds: feedStatus,
+      departures,
+    },
+  };
+}
+
+// ---------- API keys (all data routes; HTML pages only when anonymous access is off) ----------
+const apiAuth = createApiKeyAuth({ file: API_KEYS_FILE });
+const uiAuth = apiAuth.middleware({ html: true });
+app.use(["/mta", "/api"], apiAuth.middleware());
+
 // ---------- API: /mta ----------
 app.get("/mta", async (req, res) => {
   try {
@@ -184,14 +404,172 @@ app.get("/mta", async (req, res) => {
 
     if (!stopIds.length) return res.status(400).json({ error: "Provide stopId" });
 
-    const feeds = await fetchFeedsForLines(lines);
-    const departures = filterDeparturesForStops(feeds, stopIds, lines);
+    const scheduled = !["0", "false", "no"].includes(String(req.query.scheduled || "").toLowerCase());
+    const { body } = await buildDeparturesPayload(stopIds, lines, { scheduled });
+    res.json(body);
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- API: /mta/stream (Server-Sent Events) ----------
+// Same params as /mta. Sends a "departures" event whenever one of the relevant feeds gets a new
+// snapshot; the event id is the feed version, so a reconnect with Last-Event-ID skips an unchanged payload.
+app.get("/mta/stream", async (req, res) => {
+  const stopIds = asArrayParam(req.query.stopId).map(String).filter(Boolean);
+  const lines = asArrayParam(req.query.line).map(String).filter(Boolean);
+
+  if (!stopIds.length) return res.status(400).json({ error: "Provide stopId" });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.write(`retry: 5000\n\n`);
+
+  const urls = new Set(pickFeedUrlsForLines(lines));
+  let lastId = req.get("Last-Event-ID") || null;
+  let closed = false;
+  let sending = false;
+  let again = false;
+
+  // Serialize pushes; a burst of feed updates during a send collapses into one follow-up send
+  async function push() {
+    if (sending) {
+      again = true;
+      return;
+    }
+    sending = true;
+    try {
+      const { version, body } = await buildDeparturesPayload(stopIds, lines);
+      if (!closed && version !== lastId) {
+        lastId = version;
+        res.write(`id: ${version}\nevent: departures\ndata: ${JSON.stringify(body)}\n\n`);
+      }
+    } catch (err) {
+      console.error(err);
+      if (!closed) res.write(`event: error\ndata: ${JSON.stringify({ error: "Internal server error" })}\n\n`);
+    } finally {
+      sending = false;
+    }
+    if (again && !closed) {
+      again = false;
+      push();
+    }
+  }
+
+  const unsubscribe = feedCache.subscribe((url) => {
+    if (urls.has(url)) push();
+  });
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${Date.now()}\n\n`), SSE_HEARTBEAT_MS);
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
+  push();
+});
+
+// ---------- API: station name search ----------
+// q required; optional line (repeatable) to only return stations serving one of them; limit (default 10, max 50)
+app.get("/api/stations/search", (req, res) => {
+  const q = String(req.query.q || "").trim();
+  if (!q) return res.status(400).json({ error: "Provide q" });
+  const lines = asArrayParam(req.query.line).map(String).filter(Boolean);
+  const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 10));
+
+  const data = readStationsUi();
+  if (!data) return res.status(404).json({ error: "stations-ui.json not found." });
+
+  res.json({ q, lines: lines.map(normalizeLine), stations: searchStations(data, q, { lines, limit }) });
+});
+
+// ---------- API: nearby stations ----------
+// lat, lon required; radius in meters (default 1000, max 10000); limit (default 5, max 50)
+app.get("/api/stations/nearby", (req, res) => {
+  const lat = Number(req.query.lat);
+  const lon = Number(req.query.lon);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+    return res.status(400).json({ error: "Provide lat and lon" });
+  }
+  const radius = Math.min(10000, Math.max(1, Number(req.query.radius) || 1000));
+  const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 5));
+
+  const data = readStationsUi();
+  if (!data) return res.status(404).json({ error: "stations-ui.json not found." });
+
+  const stations = data
+    .filter((s) => s.lat != null && s.lon != null)
+    .map((s) => ({ ...s, distanceMeters: Math.round(haversineMeters(lat, lon, s.lat, s.lon)) }))
+    .filter((s) => s.distanceMeters <= radius)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters)
+    .slice(0, limit);
+
+  res.json({ lat, lon, radius, stations });
+});
+
+// ---------- API: station departures (all platforms, grouped by direction + line) ----------
+// :id is a parent station id such as "635" or a complex id such as "complex-127"; optional line (repeatable) and limit (per line, default 10, max 50)
+app.get("/api/stations/:id/departures", async (req, res) => {
+  try {
+    const id = String(req.params.id);
+    const lines = asArrayParam(req.query.line).map(String).filter(Boolean);
+    const limit = Math.min(50, Math.max(1, Number(req.query.limit) || 10));
+
+    // Station record from stations-ui.json tells us which feeds serve it when no line is given
+    const { station, isComplex, lines: stationLines, stopIds } = resolveStationStops(id);
+    if (!stopIds.length) return res.status(404).json({ error: `Unknown station: ${id}` });
+
+    const feedLines = lines.length ? lines : stationLines;
+    const { feeds, feedStatus, degraded } = await fetchFeedsForLines(feedLines);
+    const departures = mergeScheduledDepartures(filterDeparturesForStops(feeds, stopIds, lines), stopIds, lines);
+
+    // dir -> line -> [departure]
+    const byDir = new Map();
+    for (const dep of departures) {
+      const dir = String(dep.stopId).slice(-1).toUpperCase() === "N" ? "N" : "S";
+      if (!byDir.has(dir)) byDir.set(dir, new Map());
+      const byLine = byDir.get(dir);
+      if (!byLine.has(dep.routeId)) byLine.set(dep.routeId, []);
+      byLine.get(dep.routeId).push(dep);
+    }
+
+    const directions = ["N", "S"]
+      .filter((dir) => stopIds.some((sid) => sid.toUpperCase().endsWith(dir)))
+      .map((dir) => {
+        const byLine = byDir.get(dir) || new Map();
+        return {
+          dir,
+          label: DIRECTION_LABELS[dir],
+          stopIds: stopIds.filter((sid) => sid.toUpperCase().endsWith(dir)),
+          lines: Array.from(byLine.entries())
+            .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+            .map(([line, deps]) => ({
+              line,
+              headsigns: Array.from(new Set(deps.map((d) => d.headsign).filter(Boolean))),
+              departures: deps.slice(0, limit),
+            })),
+        };
+      });
 
     res.json({
-      stops: stopIds,
+      station: {
+        id,
+        name: (isComplex ? station.name : currentGtfs().stopName(id)) || station?.name || id,
+        lines: stationLines,
+        ...(isComplex ? { members: station.members, minTransferTime: station.minTransferTime } : {}),
+      },
+      stopIds,
       lines: lines.map(normalizeLine),
       lastUpdated: new Date().toISOString(),
-      departures,
+      degraded,
+      feeds: feedStatus,
+      directions,
     });
   } catch (err) {
     console.error(err);
@@ -199,21 +577,337 @@ app.get("/mta", async (req, res) => {
   }
 });
 
+// ---------- API: line performance (delay vs schedule) ----------
+app.get("/api/lines/:line/performance", (req, res) => {
+  const line = normalizeLine(req.params.line);
+  if (!FEED_BY_LINE[line]) return res.status(404).json({ error: `Unknown line: ${line}` });
+
+  const summary = linePerformance.summary(line);
+  res.json({
+    ...summary,
+    scheduleLoaded: !!currentSchedule()?.loaded,
+    directions: summary.directions.map((d) => ({ ...d, label: DIRECTION_LABELS[d.dir] || d.dir })),
+  });
+});
+
+// ---------- API: trip detail (full remaining stop list) ----------
+// :tripId is the realtime trip id from a departure; optional line narrows which feed is searched
+app.get("/api/trips/:tripId", async (req, res) => {
+  try {
+    const tripId = String(req.params.tripId);
+    const hint = req.query.line || parseMtaTripId(tripId)?.route;
+    const lines = hint && FEED_BY_LINE[normalizeLine(hint)] ? [String(hint)] : [];
+
+    let { feeds, feedStatus, degraded } = await fetchFeedsForLines(lines);
+    let trip = findTripDetail(feeds, tripId, { gtfs: currentGtfs(), delayFor: scheduleDelay });
+
+    // Route hint pointed at the wrong feed (e.g. shuttles): look everywhere before giving up
+    if (!trip && lines.length) {
+      ({ feeds, feedStatus, degraded } = await fetchFeedsForLines([]));
+      trip = findTripDetail(feeds, tripId, { gtfs: currentGtfs(), delayFor: scheduleDelay });
+    }
+
+    if (!trip) {
+      return res.status(404).json({ error: `Trip not found in realtime feeds: ${tripId}`, degraded, feeds: feedStatus });
+    }
+
+    res.json({ lastUpdated: new Date().toISOString(), degraded, feeds: feedStatus, trip });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- API: saved boards ----------
+const boardStore = createBoardStore({ file: BOARDS_FILE });
+
+// Station must exist so a permalink never opens an empty board
+function checkBoardStation(body, res) {
+  if (body?.stationId === undefined || findStation(body.stationId)) return true;
+  res.status(400).json({ error: `Unknown station: ${body.stationId}` });
+  return false;
+}
+
+function sendBoardError(err, res) {
+  if (err.status === 400) return res.status(400).json({ error: err.message });
+  console.error(err);
+  res.status(500).json({ error: "Internal server error" });
+}
+
+app.get("/api/boards", (req, res) => {
+  res.json({ boards: boardStore.list() });
+});
+
+app.get("/api/boards/:slug", (req, res) => {
+  const board = boardStore.get(req.params.slug);
+  if (!board) return res.status(404).json({ error: `Unknown board: ${req.params.slug}` });
+  res.json({ board });
+});
+
+// Body: { name, stationId, dir: "N" | "S" | "", lines: [] }
+app.post("/api/boards", express.json(), (req, res) => {
+  try {
+    if (!checkBoardStation(req.body, res)) return;
+    const board = boardStore.create(req.body);
+    res.status(201).location(`/board/${board.slug}`).json({ board });
+  } catch (err) {
+    sendBoardError(err, res);
+  }
+});
+
+// Partial update: any of name, stationId, dir, lines
+app.put("/api/boards/:slug", express.json(), (req, res) => {
+  try {
+    if (!checkBoardStation(req.body, res)) return;
+    const board = boardStore.update(req.params.slug, req.body);
+    if (!board) return res.status(404).json({ error: `Unknown board: ${req.params.slug}` });
+    res.json({ board });
+  } catch (err) {
+    sendBoardError(err, res);
+  }
+});
+
+app.delete("/api/boards/:slug", (req, res) => {
+  try {
+    if (!boardStore.remove(req.params.slug)) return res.status(404).json({ error: `Unknown board: ${req.params.slug}` });
+    res.status(204).end();
+  } catch (err) {
+    sendBoardError(err, res);
+  }
+});
+
+// Malformed JSON bodies get a JSON 400 instead of Express's HTML error page
+app.use("/api/boards", (err, req, res, next) => {
+  if (err.type === "entity.parse.failed") return res.status(400).json({ error: "Invalid JSON body" });
+  next(err);
+});
+
+// ---------- API: journey planner ----------
+// from, to: station or complex ids (or a name, resolved to the best search hit); departAt: ISO time or
+// unix seconds/ms (default now); optional limit (default 3, max 10) and maxTransfers (default 3)
+function resolvePlanStation(q, stations) {
+  q = String(q || "").trim();
+  if (!q) return null;
+  const station = findStation(q) || searchStations(stations, q, { limit: 1 })[0];
+  if (!station) return null;
+  // A complex (by id or name) starts/ends at any of its stations; a member id means just that one
+  const members = (station.members || []).map(String);
+  if (members.includes(q)) return { id: q, name: currentGtfs().stopName(q) || station.name, members: [q] };
+  return { id: String(station.id), name: station.displayName || station.name, members: members.length ? members : [String(station.id)] };
+}
+
+function parseDepartAt(v) {
+  if (v == null || v === "") return Date.now();
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  const ms = Date.parse(String(v));
+  return Number.isNaN(ms) ? null : ms;
+}
+
+app.get("/api/plan", async (req, res) => {
+  try {
+    const stations = readStationsUi();
+    if (!stations) return res.status(404).json({ error: "stations-ui.json not found." });
+    if (!req.query.from || !req.query.to) return res.status(400).json({ error: "Provide from and to" });
+
+    const from = resolvePlanStation(req.query.from, stations);
+    const to = resolvePlanStation(req.query.to, stations);
+    if (!from) return res.status(404).json({ error: `Unknown station: ${req.query.from}` });
+    if (!to) return res.status(404).json({ error: `Unknown station: ${req.query.to}` });
+    if (from.id === to.id) return res.status(400).json({ error: "from and to are the same station" });
+
+    const departAt = parseDepartAt(req.query.departAt);
+    if (departAt == null) return res.status(400).json({ error: "departAt must be an ISO time or unix timestamp" });
+    const limit = Math.min(10, Math.max(1, Number(req.query.limit) || 3));
+    const maxTransfers = Math.min(5, Math.max(0, Number(req.query.maxTransfers ?? 3)));
+
+    const { feeds, feedStatus, degraded } = await fetchFeedsForLines([]);
+    const itineraries = journeyPlanner.plan({
+      from: from.members,
+      to: to.members,
+      feeds,
+      stations,
+      departAt,
+      limit,
+      maxTransfers,
+    });
+
+    res.json({
+      from,
+      to,
+      departAt: new Date(departAt).toISOString(),
+      lastUpdated: new Date().toISOString(),
+      degraded,
+      scheduleLoaded: !!currentSchedule()?.loaded,
+      feeds: feedStatus,
+      itineraries,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- API: usage per API key (admin keys only) ----------
+app.get("/api/admin/usage", (req, res) => {
+  if (!apiAuth.enabled()) return res.status(404).json({ error: "API keys are not configured" });
+  if (!req.apiClient?.admin) return res.status(403).json({ error: "Admin API key required" });
+  res.json({ generatedAt: new Date().toISOString(), keys: apiAuth.usage() });
+});
+
+// ---------- API: reload stations + static GTFS (admin keys only) ----------
+// Files are also watched; this forces a reload now. A dataset that fails validation is not swapped in.
+app.get("/api/admin/dataset", (req, res) => {
+  if (!apiAuth.enabled()) return res.status(404).json({ error: "API keys are not configured" });
+  if (!req.apiClient?.admin) return res.status(403).json({ error: "Admin API key required" });
+  res.json(datasets.status());
+});
+
+app.post("/api/admin/reload", async (req, res) => {
+  if (!apiAuth.enabled()) return res.status(404).json({ error: "API keys are not configured" });
+  if (!req.apiClient?.admin) return res.status(403).json({ error: "Admin API key required" });
+  try {
+    const result = await datasets.reload({ reason: `admin (${req.apiClient.name})` });
+    if (!result.ok) {
+      return res.status(422).json({
+        error: "New dataset was rejected; still serving the previous version",
+        errors: result.errors,
+        warnings: result.warnings,
+        dataset: datasets.status(),
+      });
+    }
+    res.json({ ok: true, warnings: result.warnings, dataset: datasets.status() });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- API: live train positions ----------
+// line (repeatable, optional = all feeds), format=geojson for a FeatureCollection
+app.get("/api/vehicles", async (req, res) => {
+  try {
+    const lines = asArrayParam(req.query.line).map(String).filter(Boolean);
+    const { feeds, feedStatus, degraded } = await fetchFeedsForLines(lines);
+    const trains = extractVehicles(feeds, { lines: lines.map(normalizeLine), gtfs: currentGtfs() });
+
+    if (String(req.query.format || "").toLowerCase() === "geojson") {
+      res.type("application/geo+json");
+      return res.send(JSON.stringify(vehiclesToGeoJson(trains)));
+    }
+
+    res.json({
+      lines: lines.map(normalizeLine),
+      lastUpdated: new Date().toISOString(),
+      degraded,
+      feeds: feedStatus,
+      vehicles: trains,
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- API: service alerts ----------
+// Filters: route/line (repeatable), stopId (platform or station id, repeatable), activeNow=1, match=any
+app.get("/api/alerts", async (req, res) => {
+  try {
+    const routes = [...asArrayParam(req.query.route), ...asArrayParam(req.query.line)].map(String).filter(Boolean);
+    const stopIds = asArrayParam(req.query.stopId).map(String).filter(Boolean);
+    const activeNow = ["1", "true", "yes"].includes(String(req.query.activeNow || "").toLowerCase());
+    const matchAny = String(req.query.match || "").toLowerCase() === "any";
+
+    const snapshot = await alertsCache.getSnapshot(ALERTS_FEED);
+    const alerts = snapshot.feed ? decodeAlerts(snapshot.feed) : [];
+
+    res.json({
+      lastUpdated: snapshot.fetchedAt,
+      degraded: snapshot.status !== "ok",
+      feed: {
+        feed: feedName(ALERTS_FEED),
+        status: snapshot.status,
+        ageSeconds: snapshot.ageSeconds,
+        ...(snapshot.error ? { error: snapshot.error } : {}),
+      },
+      alerts: filterAlerts(alerts, { routes: routes.map(normalizeLine), stopIds, activeNow, matchAny }),
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// ---------- API: feed cache status ----------
+app.get("/api/feeds", (req, res) => {
+  res.json({
+    pollIntervalMs: FEED_POLL_INTERVAL_MS,
+    maxAgeMs: FEED_MAX_AGE_MS,
+    feeds: [...feedCache.status(), ...alertsCache.status()],
+    breakers: feedFetcher.breakerState(),
+  });
+});
+
+// ---------- API: static dataset (version, validity, counts) ----------
+function feedValidity() {
+  const gtfs = currentGtfs();
+  return validityStatus(gtfs.feedInfo, { timezone: gtfs.timezone, warnDays: DATASET_EXPIRY_WARN_DAYS });
+}
+
+// Log when the validity status changes (startup, a reload, or a day passing)
+let loggedValidity = "";
+function logFeedValidity() {
+  const v = feedValidity();
+  const key = `${datasets.status().generation}|${v.status}`;
+  if (key === loggedValidity) return;
+  loggedValidity = key;
+  if (v.status === "ok") console.log(`${v.message} (${v.source})`);
+  else console.warn(`Warning: ${v.message} (${v.source})`);
+}
+
+app.get("/api/dataset", (req, res) => {
+  const status = datasets.status();
+  const validity = feedValidity();
+  const realtime = tripMatches.summary();
+
+  // Rider-facing sentences for the UI banner
+  const warnings = [];
+  if (validity.status !== "ok") warnings.push(validity.message);
+  if (realtime.suspect) {
+    warnings.push(
+      `${realtime.unmatched} of ${realtime.trips} live trains don't match the static schedule; it may have changed`
+    );
+  }
+
+  res.json({
+    generatedAt: new Date().toISOString(),
+    dataset: { version: status.version, loadedAt: status.loadedAt, generation: status.generation },
+    feed: validity,
+    counts: { stations: status.counts.stations, routes: status.counts.routes, trips: status.counts.trips, stops: status.counts.stops },
+    scheduleLoaded: status.scheduleLoaded,
+    realtime,
+    warnings,
+  });
+});
+
 // ---------- API: stations ----------
 app.get("/api/stations", (req, res) => {
   const data = readStationsUi();
   if (!data) {
     return res.status(404).json({
       error:
-        "stations-ui.json not found. Generate it (with borough + directions + displayName) and place it in the project root.",
+        "stations-ui.json not found. Run `npm run build` to publish a dataset, or place one in the project root.",
     });
   }
   res.json(data);
 });
 
 // ---------- UI: Direction -> Borough -> Stop -> Line(s) ----------
-app.get("/", (req, res) => {
-  res.send(`<!doctype html>
+// boot: { board, error } handed to the page; a board opens straight into its departure table.
+// Without one the page still opens a selection encoded in the URL (/?station=127&dir=S&line=1).
+function renderUi(boot = {}) {
+  const bootJson = JSON.stringify({ board: boot.board || null, error: boot.error || null }).replace(/</g, "\\u003c");
+  return `<!doctype html>
 <html>
 <head>
 <meta charset="utf-8" />
@@ -236,6 +930,14 @@ h1{margin:0;font-size:1.8rem;letter-spacing:.02em;}
 }
 
 .hint{color:#8b949e;font-size:.86rem;margin-top:6px;}
+.hint.warn{color:#d29922;}
+
+.alerts{display:flex;flex-direction:column;gap:8px;margin-top:10px;}
+.alert{
+  padding:10px 12px;border-radius:12px;border:1px solid #6e5a1f;
+  background:#2a2110;color:#f0d890;font-size:.9rem;
+}
+.alert details{margin-top:6px;color:#c9b97a;white-space:pre-wrap;}
 .meta{display:flex;flex-wrap:wrap;gap:10px;align-items:baseline;}
 .meta .title{font-size:1.25rem;font-weight:800;}
 .meta .sub{color:#8b949e;font-size:.9rem;}
@@ -244,6 +946,9 @@ table{width:100%;border-collapse:collapse;margin-top:10px;}
 th,td{padding:8px 2px;font-size:1rem;}
 th{color:#8b949e;border-bottom:1px solid #30363d;text-align:left;}
 tr+tr td{border-top:1px solid #21262d;}
+tr.clickable{cursor:pointer;}
+tr.clickable:hover td{background:#0f1624;}
+tr.passed td{opacity:.45;}
 
 .route-pill{
   display:inline-flex;align-items:center;justify-content:center;
@@ -252,17 +957,7 @@ tr+tr td{border-top:1px solid #21262d;}
   background:#30363d;
 }
 /* Line colors */
-.route-blue{ background:#0039A6; }      /* A/C/E */
-.route-orange{ background:#FF6319; }    /* B/D/F/M */
-.route-grey{ background:#6c757d; }      /* S */
-.route-brightgreen{ background:#00A550; } /* G */
-.route-brown{ background:#996633; }     /* J/Z */
-.route-yellow{ background:#FCCC0A; color:#111; } /* N/Q/R/W */
-.route-lightgrey{ background:#A7A9AC; color:#111; } /* L */
-.route-red{ background:#EE352E; }       /* 1/2/3 */
-.route-green{ background:#00933C; }     /* 4/5/6 */
-.route-purple{ background:#B933AD; }    /* 7 */
-.route-lightblue{ background:#5DA9E9; color:#111; } /* SI/SIR */
+${routeColorCss()}
 
 .footerRow{display:flex;justify-content:space-between;gap:12px;align-items:center;margin-top:8px;}
 button{
@@ -274,7 +969,7 @@ button.secondary{opacity:.95;}
 button.ghost{background:transparent;}
 button[disabled]{opacity:.4;cursor:not-allowed;}
 
-select{
+select,input[type=search]{
   width:100%;padding:10px;border-radius:12px;
   border:1px solid #30363d;background:#0b0f17;color:#f0f6fc;font-size:14px;
 }
@@ -300,6 +995,7 @@ select{
 .choice:hover{background:#0f1624;}
 .choice .big{font-size:1.05rem;font-weight:950;}
 .choice .small{color:#8b949e;font-size:.85rem;margin-top:6px;}
+.choice .remove{float:right;padding:2px 8px;border-radius:8px;font-size:.8rem;}
 
 .row{display:grid;grid-template-columns:1fr;gap:10px;}
 @media(min-width:900px){ .row{grid-template-columns:1fr 1fr;} }
@@ -323,6 +1019,7 @@ select{
 <body>
 <div class="container">
   <h1>MTA Train Trax</h1>
+  <div class="alert" id="datasetWarning" style="display:none;margin-bottom:12px;"></div>
 
   <div class="panel">
     <div class="steps" id="steps">
@@ -347,11 +1044,18 @@ select{
           <div class="small">Prefer southbound (S) when available</div>
         </div>
       </div>
+      <div id="savedWrap" style="display:none;">
+        <div style="margin-top:14px;font-weight:950;font-size:1.1rem;">Or open a saved board</div>
+        <div class="choiceRow" id="savedBoards"></div>
+      </div>
     </div>
 
     <!-- Screen 2 -->
     <div class="screen" id="screen2">
-      <div style="margin-top:10px;font-weight:950;font-size:1.1rem;">Which borough are you in?</div>
+      <div style="margin-top:10px;font-weight:950;font-size:1.1rem;">Search for your stop</div>
+      <input type="search" id="stationSearch" placeholder="e.g. 42 St, Union Sq, Van Cortlandt" autocomplete="off" style="margin-top:10px;" />
+      <div class="choiceRow" id="searchResults"></div>
+      <div style="margin-top:14px;font-weight:950;font-size:1.1rem;">Or: which borough are you in?</div>
       <div class="row" style="margin-top:10px;">
         <div>
           <label style="display:block;color:#8b949e;font-size:.82rem;margin:0 0 6px;">Borough</label>
@@ -362,6 +1066,11 @@ select{
           <button id="next2" disabled>Next</button>
         </div>
       </div>
+      <div class="footerRow">
+        <div class="hint" id="nearbyHint">Or skip the borough and stop screens:</div>
+        <button type="button" id="useLocation">Use my location</button>
+      </div>
+      <div class="choiceRow" id="nearbyList"></div>
     </div>
 
     <!-- Screen 3 -->
@@ -398,6 +1107,7 @@ select{
     <div class="footerRow" style="margin-top:12px;">
       <div class="hint" id="summary"></div>
       <div style="display:flex; gap:10px;">
+        <button id="saveBoard" style="display:none;">Save</button>
         <button id="editFilters" style="display:none;">Edit</button>
         <button id="refresh" style="display:none;">Refresh</button>
       </div>
@@ -410,13 +1120,30 @@ select{
       <div class="sub" id="subtitle"></div>
     </div>
     <div class="hint" id="updated" style="margin-top:6px;"></div>
+    <div class="hint warn" id="degraded" style="display:none;"></div>
+    <div class="alerts" id="alerts" style="display:none;"></div>
     <table>
-      <thead><tr><th>Route</th><th>Stop</th><th>ETA</th></tr></thead>
+      <thead><tr><th>Route</th><th>To</th><th>ETA</th></tr></thead>
       <tbody id="tbody">
         <tr><td colspan="3">Make selections to see results…</td></tr>
       </tbody>
     </table>
   </div>
+
+  <div class="board" id="tripPanel" style="display:none;">
+    <div class="meta">
+      <div class="title" id="tripTitle"></div>
+      <div class="sub" id="tripSub"></div>
+    </div>
+    <table>
+      <thead><tr><th>Stop</th><th>Time</th><th></th></tr></thead>
+      <tbody id="tripBody"></tbody>
+    </table>
+    <div class="footerRow">
+      <div class="hint" id="tripUpdated"></div>
+      <button class="ghost" id="closeTrip">Close</button>
+    </div>
+  </div>
 </div>
 
 <script>
@@ -440,16 +1167,38 @@ const back2 = document.getElementById("back2");
 const back3 = document.getElementById("back3");
 const back4 = document.getElementById("back4");
 const next2 = document.getElementById("next2");
+const useLocationBtn = document.getElementById("useLocation");
+const nearbyList = document.getElementById("nearbyList");
+const nearbyHint = document.getElementById("nearbyHint");
+const searchInput = document.getElementById("stationSearch");
+const searchResults = document.getElementById("searchResults");
 const next3 = document.getElementById("next3");
 const goBtn = document.getElementById("go");
 
 const board = document.getElementById("board");
 const tbody = document.getElementById("tbody");
 const updated = document.getElementById("updated");
+const degradedEl = document.getElementById("degraded");
+const alertsEl = document.getElementById("alerts");
+const datasetWarningEl = document.getElementById("datasetWarning");
 const subtitle = document.getElementById("subtitle");
 
+const tripPanel = document.getElementById("tripPanel");
+const tripTitle = document.getElementById("tripTitle");
+const tripSub = document.getElementById("tripSub");
+const tripBody = document.getElementById("tripBody");
+const tripUpdated = document.getElementById("tripUpdated");
+const closeTripBtn = document.getElementById("closeTrip");
+
 const refreshBtn = document.getElementById("refresh");
 const editBtn = document.getElementById("editFilters");
+const saveBtn = document.getElementById("saveBoard");
+const savedWrap = document.getElementById("savedWrap");
+const savedBoards = document.getElementById("savedBoards");
+
+// Saved board this page was opened from (/board/:slug) or just saved; null for an ad-hoc selection
+const BOOT = ${bootJson};
+let currentBoard = BOOT.board;
 
 const lineChips = document.getElementById("lineChips");
 const clearLinesBtn = document.getElementById("clearLines");
@@ -501,36 +1250,16 @@ function cleanStationLabel(label){
   return inside.length ? \`\${base} (\${inside.join(", ")})\` : base;
 }
 
+const ROUTE_CLASS = ${JSON.stringify(ROUTE_CLASS)};
+
 function pill(route){
-  route = String(route || "").toUpperCase().trim();
-  if(["A","C","E"].includes(route)) return "route-pill route-blue";
-  if(["B","D","F","M"].includes(route)) return "route-pill route-orange";
-  if(route === "S") return "route-pill route-grey";
-  if(route === "G") return "route-pill route-brightgreen";
-  if(["J","Z"].includes(route)) return "route-pill route-brown";
-  if(["N","Q","R","W"].includes(route)) return "route-pill route-yellow";
-  if(route === "L") return "route-pill route-lightgrey";
-  if(["1","2","3"].includes(route)) return "route-pill route-red";
-  if(["4","5","6"].includes(route)) return "route-pill route-green";
-  if(route === "7") return "route-pill route-purple";
-  if(route === "SIR" || route === "SI") return "route-pill route-lightblue";
-  return "route-pill";
+  const cls = ROUTE_CLASS[String(route || "").toUpperCase().trim()];
+  return cls ? "route-pill " + cls : "route-pill";
 }
 
 function badgeClass(route){
-  route = String(route||"").toUpperCase().trim();
-  if(["A","C","E"].includes(route)) return "badge route-blue";
-  if(["B","D","F","M"].includes(route)) return "badge route-orange";
-  if(route === "S") return "badge route-grey";
-  if(route === "G") return "badge route-brightgreen";
-  if(["J","Z"].includes(route)) return "badge route-brown";
-  if(["N","Q","R","W"].includes(route)) return "badge route-yellow";
-  if(route === "L") return "badge route-lightgrey";
-  if(["1","2","3"].includes(route)) return "badge route-red";
-  if(["4","5","6"].includes(route)) return "badge route-green";
-  if(route === "7") return "badge route-purple";
-  if(route === "SIR" || route === "SI") return "badge route-lightblue";
-  return "badge";
+  const cls = ROUTE_CLASS[String(route || "").toUpperCase().trim()];
+  return cls ? "badge " + cls : "badge";
 }
 
 function renderLineChips(lines){
@@ -587,17 +1316,18 @@ function selectedStationObj(){
   return filteredStations.find(s => String(s.id) === String(chosenStationId)) || null;
 }
 
-function pickStopIdForDirection(station, dir){
+function pickStopIdsForDirection(station, dir){
   // station.directions = [{dir:"N", stopId:"..."}, {dir:"S", stopId:"..."}]
+  // (station complexes have one entry per member platform, so several per direction)
   const dirs = station?.directions || [];
-  if (!dirs.length) return station?.id || "";
+  if (!dirs.length) return station?.id ? [station.id] : [];
 
   const want = String(dir||"").toUpperCase();
-  const match = dirs.find(d => String(d.dir||"").toUpperCase() === want);
-  if (match?.stopId) return match.stopId;
+  const matches = dirs.filter(d => String(d.dir||"").toUpperCase() === want && d.stopId);
+  if (matches.length) return matches.map(d => d.stopId);
 
   // If the preferred direction doesn't exist, fall back to the first one.
-  return dirs[0]?.stopId || station?.id || "";
+  return dirs[0]?.stopId ? [dirs[0].stopId] : station?.id ? [station.id] : [];
 }
 
 function updateSummary(){
@@ -623,6 +1353,7 @@ function resetAll(){
   board.style.display = "none";
   refreshBtn.style.display = "none";
   editBtn.style.display = "none";
+  saveBtn.style.display = "none";
   statusEl.textContent = "Pick your direction to begin.";
   updateSummary();
   setActiveScreen(1);
@@ -632,7 +1363,7 @@ async function loadStations(){
   statusEl.textContent = "Loading stations…";
   const r = await fetch("/api/stations");
   if(!r.ok){
-    statusEl.textContent = "Missing stations-ui.json (generate it and restart).";
+    statusEl.textContent = "Missing stations-ui.json (run npm run build and restart).";
     return;
   }
   stations = await r.json();
@@ -680,6 +1411,112 @@ boroughSel.addEventListener("change", () => {
   updateSummary();
 });
 
+function formatDistance(m){
+  return m < 1000 ? \`\${m} m\` : \`\${(m / 1000).toFixed(1)} km\`;
+}
+
+function renderStationChoices(container, list, describe){
+  container.innerHTML = "";
+  for (const s of list) {
+    const div = document.createElement("div");
+    div.className = "choice";
+
+    const big = document.createElement("div");
+    big.className = "big";
+    big.textContent = cleanStationLabel(s.displayName || s.name);
+
+    const small = document.createElement("div");
+    small.className = "small";
+    small.textContent = describe(s);
+
+    div.appendChild(big);
+    div.appendChild(small);
+    div.addEventListener("click", () => pickStationDirect(s, list));
+    container.appendChild(div);
+  }
+}
+
+// Jump straight to the trains screen for a station picked from the nearby list or search results
+function pickStationDirect(s, list){
+  chosenBorough = s.borough && s.borough !== "Unknown" ? s.borough : "";
+  filteredStations = list;
+  chosenStationId = String(s.id);
+  selectedLineSet.clear();
+  renderLineChips(s.lines || []);
+  updateSummary();
+  setActiveScreen(4);
+  goBtn.disabled = false;
+}
+
+// Typeahead across all boroughs
+let searchTimer = null;
+let searchSeq = 0;
+
+searchInput.addEventListener("input", () => {
+  clearTimeout(searchTimer);
+  const q = searchInput.value.trim();
+  if (q.length < 2) {
+    searchResults.innerHTML = "";
+    return;
+  }
+  searchTimer = setTimeout(async () => {
+    const seq = ++searchSeq;
+    try {
+      const url = new URL(location.origin + "/api/stations/search");
+      url.searchParams.set("q", q);
+      url.searchParams.set("limit", "8");
+      const r = await fetch(url.toString());
+      if (!r.ok) throw new Error("HTTP " + r.status);
+      const d = await r.json();
+      if (seq !== searchSeq) return; // a newer keystroke already fired
+      renderStationChoices(searchResults, d.stations || [], (st) =>
+        (st.borough && st.borough !== "Unknown" ? st.borough + " • " : "") + cleanLines(st.lines).join(", ")
+      );
+      if (!(d.stations || []).length) searchResults.innerHTML = '<div class="hint">No matching stations.</div>';
+    } catch (err) {
+      console.error(err);
+    }
+  }, 150);
+});
+
+useLocationBtn.addEventListener("click", () => {
+  if (!navigator.geolocation) {
+    nearbyHint.textContent = "Location isn't available in this browser.";
+    return;
+  }
+  nearbyHint.textContent = "Finding your location…";
+  useLocationBtn.disabled = true;
+
+  navigator.geolocation.getCurrentPosition(async (pos) => {
+    try {
+      const url = new URL(location.origin + "/api/stations/nearby");
+      url.searchParams.set("lat", pos.coords.latitude);
+      url.searchParams.set("lon", pos.coords.longitude);
+      url.searchParams.set("radius", "1500");
+      url.searchParams.set("limit", "6");
+
+      const r = await fetch(url.toString());
+      if (!r.ok) throw new Error("HTTP " + r.status);
+      const d = await r.json();
+
+      renderStationChoices(nearbyList, d.stations || [], (st) =>
+        formatDistance(st.distanceMeters) + " • " + cleanLines(st.lines).join(", ")
+      );
+      nearbyHint.textContent = (d.stations || []).length
+        ? "Closest stations:"
+        : "No stations within 1.5 km. Pick a borough instead.";
+    } catch (err) {
+      console.error(err);
+      nearbyHint.textContent = "Couldn't load nearby stations.";
+    } finally {
+      useLocationBtn.disabled = false;
+    }
+  }, (err) => {
+    nearbyHint.textContent = "Couldn't get your location (" + err.message + ").";
+    useLocationBtn.disabled = false;
+  }, { enableHighAccuracy: true, timeout: 10000, maximumAge: 60000 });
+});
+
 next2.addEventListener("click", () => {
   if (!chosenBorough) return;
   setActiveScreen(3);
@@ -709,9 +1546,13 @@ clearLinesBtn.addEventListener("click", () => {
 });
 
 editBtn.addEventListener("click", () => {
+  closeStream();
+  currentBoard = null; // whatever comes out of the wizard is a new selection
   board.style.display = "none";
+  tripPanel.style.display = "none";
   refreshBtn.style.display = "none";
   editBtn.style.display = "none";
+  saveBtn.style.display = "none";
   statusEl.textContent = "Edit your choices.";
   setActiveScreen(1);
 });
@@ -728,6 +1569,216 @@ function getSelectedLines(){
   return Array.from(selectedLineSet).filter(l => !String(l).toUpperCase().includes("X"));
 }
 
+function renderDegraded(d){
+  const bad = (d.feeds || []).filter(f => f.status !== "ok");
+  if (!d.degraded || !bad.length) {
+    degradedEl.style.display = "none";
+    return;
+  }
+  degradedEl.textContent = "⚠ Live data may be out of date: " + bad.map(f =>
+    f.status === "stale" ? \`\${f.feed} (\${f.ageSeconds}s old)\` : \`\${f.feed} (unavailable)\`
+  ).join(", ");
+  degradedEl.style.display = "block";
+}
+
+async function loadAlerts(station, lines){
+  const url = new URL(location.origin + "/api/alerts");
+  for (const id of station.members || [station.id]) url.searchParams.append("stopId", id);
+  for (const l of lines) url.searchParams.append("line", l);
+  url.searchParams.set("activeNow", "1");
+  url.searchParams.set("match", "any");
+
+  try {
+    const r = await fetch(url.toString());
+    if (!r.ok) throw new Error("HTTP " + r.status);
+    renderAlerts((await r.json()).alerts || []);
+  } catch (err) {
+    console.error(err);
+    renderAlerts([]);
+  }
+}
+
+function renderAlerts(alerts){
+  alertsEl.innerHTML = "";
+  for (const a of alerts) {
+    const div = document.createElement("div");
+    div.className = "alert";
+    div.textContent = "⚠ " + (a.header || "Service alert");
+    if (a.description) {
+      const det = document.createElement("details");
+      const sum = document.createElement("summary");
+      sum.textContent = "Details";
+      det.appendChild(sum);
+      det.appendChild(document.createTextNode(a.description));
+      div.appendChild(det);
+    }
+    alertsEl.appendChild(div);
+  }
+  alertsEl.style.display = alerts.length ? "flex" : "none";
+}
+
+let stream = null;     // EventSource on /mta/stream while the board is open
+let streamFailedAt = 0; // when the stream was last refused (401/429/5xx); the poll covers the next minute
+let streamQuery = "";  // query string the stream was opened with
+
+function renderDepartures(d){
+  renderDegraded(d);
+
+  const deps = (d.departures || []).slice(0, 5);
+  tbody.innerHTML = "";
+
+  for(const dep of deps){
+    const tr = document.createElement("tr");
+    tr.innerHTML = \`
+      <td><span class="\${pill(dep.routeId)}">\${escapeHtml(dep.routeId || "?")}</span></td>
+      <td>\${escapeHtml(dep.headsign ? "to " + dep.headsign : dep.stopId)}</td>
+      <td>\${dep.etaMinutes} min\${dep.source === "scheduled" ? ' <span class="hint">(scheduled)</span>' : delayText(dep)}\${trackText(dep)}</td>\`;
+    if (dep.tripId && dep.source !== "scheduled") {
+      tr.className = "clickable";
+      tr.addEventListener("click", () => openTrip(dep));
+    }
+    tbody.appendChild(tr);
+  }
+
+  if(!deps.length){
+    tbody.innerHTML = '<tr><td colspan="3">No upcoming trains found.</td></tr>';
+  }
+
+  board.style.display = "block";
+  refreshBtn.style.display = "inline-flex";
+  editBtn.style.display = "inline-flex";
+  saveBtn.style.display = currentBoard ? "none" : "inline-flex";
+
+  updated.textContent = "Last updated: " + new Date().toLocaleTimeString() + (streamIsLive() ? " • live" : "");
+  statusEl.textContent = "Ready.";
+}
+
+// 401 (key missing/invalid), 429 (rate limit, daily quota) and other errors: say so instead of an empty board
+function renderFetchError(r, d){
+  const wait = Number(r.headers.get("Retry-After")) || d.retryAfterSeconds;
+  let msg = d.error || "Couldn't load departures (HTTP " + r.status + ")";
+  if (r.status === 401) msg += ". Open this page with ?apiKey=<your key>.";
+  else if (wait) msg += ". Try again in " + (wait < 120 ? wait + " s" : Math.ceil(wait / 60) + " min") + ".";
+  else msg += ".";
+
+  tbody.innerHTML = "";
+  const tr = document.createElement("tr");
+  const td = document.createElement("td");
+  td.colSpan = 3;
+  td.className = "hint warn";
+  td.textContent = msg;
+  tr.appendChild(td);
+  tbody.appendChild(tr);
+
+  board.style.display = "block";
+  refreshBtn.style.display = "inline-flex";
+  updated.textContent = "Last attempt: " + new Date().toLocaleTimeString();
+  statusEl.textContent = msg;
+}
+
+// "running ~4 min late" once a train is 2+ minutes off schedule
+function delayText(dep){
+  if (dep.delaySeconds == null) return "";
+  const mins = Math.round(dep.delaySeconds / 60);
+  if (mins >= 2) return \` <span class="hint warn">running ~\${mins} min late</span>\`;
+  if (mins <= -2) return \` <span class="hint">~\${-mins} min early</span>\`;
+  return "";
+}
+
+// Express/local reroutes show up as the train using a different track than scheduled
+function trackText(dep){
+  if (!dep.trackChanged) return "";
+  return \` <span class="hint warn">on track \${escapeHtml(dep.actualTrack)} (scheduled \${escapeHtml(dep.scheduledTrack)})</span>\`;
+}
+
+// Feed strings (headsigns, tracks, stop names) go into innerHTML templates
+function escapeHtml(s){
+  return String(s ?? "").replace(/[&<>"]/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;" })[c]);
+}
+
+function formatClock(sec){
+  return sec ? new Date(sec * 1000).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" }) : "";
+}
+
+async function openTrip(dep){
+  tripTitle.innerHTML = \`<span class="\${pill(dep.routeId)}">\${escapeHtml(dep.routeId || "?")}</span> \${escapeHtml(dep.headsign ? "to " + dep.headsign : "")}\`;
+  tripSub.textContent = "";
+  tripBody.innerHTML = '<tr><td colspan="3">Loading…</td></tr>';
+  tripPanel.style.display = "block";
+  tripPanel.scrollIntoView({ behavior: "smooth", block: "start" });
+
+  try {
+    const url = new URL(location.origin + "/api/trips/" + encodeURIComponent(dep.tripId));
+    url.searchParams.set("line", dep.routeId);
+    const r = await fetch(url.toString());
+    const d = await r.json();
+    if (!r.ok) throw new Error(d.error || "HTTP " + r.status);
+
+    const trip = d.trip;
+    tripSub.textContent = [
+      trip.vehicle?.stopName ? (trip.vehicle.status === "STOPPED_AT" ? "Now at " : "Next: ") + trip.vehicle.stopName : "",
+      trip.trainId ? "Train " + trip.trainId + (trip.isAssigned === false ? " (not yet assigned)" : "") : "",
+    ].filter(Boolean).join(" • ");
+    tripBody.innerHTML = "";
+    for (const st of trip.stops) {
+      const tr = document.createElement("tr");
+      if (st.passed) tr.className = "passed";
+      const isYours = st.stopId === dep.stopId;
+      tr.innerHTML = \`
+        <td>\${isYours ? "<b>" : ""}\${escapeHtml(st.stopName || st.stopId)}\${isYours ? "</b>" : ""}</td>
+        <td>\${formatClock(st.departure || st.arrival)}</td>
+        <td class="hint">\${st.passed ? "passed" : st.etaMinutes != null ? st.etaMinutes + " min" : ""}\${trackText(st)}</td>\`;
+      tripBody.appendChild(tr);
+    }
+    if (!trip.stops.length) tripBody.innerHTML = '<tr><td colspan="3">No stops reported for this train.</td></tr>';
+    tripUpdated.textContent = "Last updated: " + new Date().toLocaleTimeString();
+  } catch (err) {
+    console.error(err);
+    tripBody.innerHTML = '<tr><td colspan="3">This train is no longer in the live feed.</td></tr>';
+  }
+}
+
+closeTripBtn.addEventListener("click", () => {
+  tripPanel.style.display = "none";
+});
+
+function streamIsLive(){
+  return !!stream && stream.readyState === EventSource.OPEN;
+}
+
+function closeStream(){
+  if (stream) stream.close();
+  stream = null;
+  streamQuery = "";
+}
+
+// Live updates over SSE; if the browser lacks EventSource or the stream dies, the 60s poll below takes over
+function openStream(query){
+  if (!window.EventSource) return;
+  if (Date.now() - streamFailedAt < 60000) return;
+  if (stream && streamQuery === query && stream.readyState !== EventSource.CLOSED) return;
+  closeStream();
+
+  streamQuery = query;
+  stream = new EventSource("/mta/stream?" + query);
+  stream.addEventListener("departures", (e) => {
+    try {
+      renderDepartures(JSON.parse(e.data));
+    } catch (err) {
+      console.error(err);
+    }
+  });
+  stream.onerror = () => {
+    // EventSource retries on its own (sending Last-Event-ID); only give up once it has closed.
+    // It closes when the server refuses the stream, which it can't tell us why; /mta can
+    if (stream && stream.readyState === EventSource.CLOSED) {
+      closeStream();
+      streamFailedAt = Date.now();
+      refresh().catch(err => console.error(err));
+    }
+  };
+}
+
 async function refresh(){
   const s = selectedStationObj();
   if(!s){
@@ -742,61 +1793,278 @@ async function refresh(){
     baseLabel +
     (dirText ? " • " + dirText : "");
 
-  const chosenStopId = pickStopIdForDirection(s, chosenDir);
+  const chosenStopIds = pickStopIdsForDirection(s, chosenDir);
   const chosenLines = getSelectedLines();
 
   statusEl.textContent = "Loading departures…";
   tbody.innerHTML = '<tr><td colspan="3">Loading…</td></tr>';
 
-  const url = new URL(location.origin + "/mta");
-  url.searchParams.append("stopId", chosenStopId);
-  for (const l of chosenLines) url.searchParams.append("line", l);
+  const params = new URLSearchParams();
+  for (const id of chosenStopIds) params.append("stopId", id);
+  for (const l of chosenLines) params.append("line", l);
 
-  const r = await fetch(url.toString());
-  const d = await r.json();
+  const r = await fetch("/mta?" + params.toString());
+  const d = await r.json().catch(() => ({}));
+  if (!r.ok) {
+    renderFetchError(r, d);
+    return;
+  }
 
-  const deps = (d.departures || []).slice(0, 5);
-  tbody.innerHTML = "";
+  renderDepartures(d);
+  loadAlerts(s, chosenLines.length ? chosenLines : cleanLines(s.lines));
+  openStream(params.toString());
 
-  for(const dep of deps){
-    const tr = document.createElement("tr");
-    tr.innerHTML = \`
-      <td><span class="\${pill(dep.routeId)}">\${dep.routeId || "?"}</span></td>
-      <td>\${dep.stopId}</td>
-      <td>\${dep.etaMinutes} min</td>\`;
-    tbody.appendChild(tr);
+  // Keep the address bar shareable: the board's permalink, or the selection itself
+  history.replaceState(null, "", currentBoard ? "/board/" + encodeURIComponent(currentBoard.slug) : "/?" + selectionQuery());
+  if (currentBoard) subtitle.textContent = currentBoard.name + " • " + subtitle.textContent;
+}
+
+// ---------- saved boards + URL-encoded selections ----------
+function selectionQuery(){
+  const params = new URLSearchParams();
+  params.set("station", chosenStationId);
+  if (chosenDir) params.set("dir", chosenDir);
+  for (const l of getSelectedLines()) params.append("line", l);
+  return params.toString();
+}
+
+function selectionFromUrl(){
+  const params = new URLSearchParams(location.search);
+  const stationId = params.get("station");
+  if (!stationId) return null;
+  return { stationId, dir: (params.get("dir") || "").toUpperCase(), lines: params.getAll("line") };
+}
+
+// A complex member id (e.g. an old link to "127") opens its complex
+function findStationRecord(id){
+  id = String(id);
+  return stations.find(s => String(s.id) === id) ||
+    stations.find(s => (s.members || []).map(String).includes(id)) ||
+    null;
+}
+
+// Skip the wizard: fill in its state from a saved board or URL and show the departure table
+async function applySelection(sel){
+  const s = findStationRecord(sel.stationId);
+  if (!s) {
+    statusEl.textContent = "Unknown station in link: " + sel.stationId + ". Pick your direction to begin.";
+    return;
   }
+  chosenDir = sel.dir === "N" || sel.dir === "S" ? sel.dir : "";
+  chosenBorough = s.borough && s.borough !== "Unknown" ? s.borough : "";
+  filteredStations = [s];
+  chosenStationId = String(s.id);
+  selectedLineSet = new Set(cleanLines(sel.lines));
+  renderLineChips(s.lines || []);
+  updateSummary();
+  setActiveScreen(4);
+  goBtn.disabled = false;
+  await refresh();
+}
 
-  if(!deps.length){
-    tbody.innerHTML = '<tr><td colspan="3">No upcoming trains found.</td></tr>';
+// Stale static schedule (expired calendar, realtime trips that match nothing) -> banner at the top
+async function loadDatasetStatus(){
+  try {
+    const r = await fetch("/api/dataset");
+    if (!r.ok) throw new Error("HTTP " + r.status);
+    const warnings = (await r.json()).warnings || [];
+    datasetWarningEl.textContent = warnings.join(" ");
+    datasetWarningEl.style.display = warnings.length ? "" : "none";
+  } catch (err) {
+    console.error(err);
   }
+}
 
-  board.style.display = "block";
-  refreshBtn.style.display = "inline-flex";
-  editBtn.style.display = "inline-flex";
+async function loadBoards(){
+  try {
+    const r = await fetch("/api/boards");
+    if (!r.ok) throw new Error("HTTP " + r.status);
+    renderBoards((await r.json()).boards || []);
+  } catch (err) {
+    console.error(err);
+  }
+}
 
-  updated.textContent = "Last updated: " + new Date().toLocaleTimeString();
-  statusEl.textContent = "Ready.";
+function renderBoards(list){
+  savedBoards.innerHTML = "";
+  for (const b of list) {
+    const s = findStationRecord(b.stationId);
+    const a = document.createElement("a");
+    a.className = "choice";
+    a.href = "/board/" + encodeURIComponent(b.slug);
+    a.style.color = "inherit";
+    a.style.textDecoration = "none";
+
+    const remove = document.createElement("button");
+    remove.className = "ghost remove";
+    remove.textContent = "Delete";
+    remove.addEventListener("click", async (e) => {
+      e.preventDefault();
+      if (!confirm('Delete saved board "' + b.name + '"?')) return;
+      await fetch("/api/boards/" + encodeURIComponent(b.slug), { method: "DELETE" });
+      loadBoards();
+    });
+
+    const big = document.createElement("div");
+    big.className = "big";
+    big.textContent = b.name;
+
+    const small = document.createElement("div");
+    small.className = "small";
+    small.textContent = [
+      s ? cleanStationLabel(s.displayName || s.name) : b.stationId,
+      b.dir === "N" ? "Uptown" : b.dir === "S" ? "Downtown" : "",
+      (b.lines || []).join(", "),
+    ].filter(Boolean).join(" • ");
+
+    a.appendChild(remove);
+    a.appendChild(big);
+    a.appendChild(small);
+    savedBoards.appendChild(a);
+  }
+  savedWrap.style.display = list.length ? "block" : "none";
 }
 
+saveBtn.addEventListener("click", async () => {
+  const s = selectedStationObj();
+  if (!s) return;
+  const name = prompt("Name this board", cleanStationLabel(s.displayName || s.name));
+  if (!name || !name.trim()) return;
+
+  try {
+    const r = await fetch("/api/boards", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ name: name.trim(), stationId: chosenStationId, dir: chosenDir, lines: getSelectedLines() }),
+    });
+    const d = await r.json();
+    if (!r.ok) throw new Error(d.error || "HTTP " + r.status);
+
+    currentBoard = d.board;
+    saveBtn.style.display = "none";
+    history.replaceState(null, "", "/board/" + encodeURIComponent(currentBoard.slug));
+    statusEl.textContent = "Saved. Bookmark or share this page's address to open the board directly.";
+    loadBoards();
+  } catch (err) {
+    console.error(err);
+    statusEl.textContent = "Couldn't save board: " + err.message;
+  }
+});
+
 // Boot
 resetAll();
-loadStations().catch(err => {
-  console.error(err);
-  statusEl.textContent = "Failed to load stations.";
-});
+loadDatasetStatus();
+loadStations()
+  .then(async () => {
+    loadBoards();
+    if (BOOT.error) statusEl.textContent = BOOT.error + " Pick your direction to begin.";
+    const sel = currentBoard || selectionFromUrl();
+    if (sel) await applySelection(sel);
+  })
+  .catch(err => {
+    console.error(err);
+    statusEl.textContent = "Failed to load stations.";
+  });
 
-// Auto refresh every 60s if board visible
+// Every 60s while the board is visible: poll departures if the live stream is down, refresh alerts either way
 setInterval(() => {
-  if(board.style.display !== "none") refresh();
+  if(board.style.display === "none") return;
+  if (streamIsLive()) {
+    const s = selectedStationObj();
+    const lines = getSelectedLines();
+    if (s) loadAlerts(s, lines.length ? lines : cleanLines(s.lines));
+  } else {
+    refresh();
+  }
 }, 60000);
+
+setInterval(loadDatasetStatus, 10 * 60 * 1000);
 </script>
 </body>
-</html>`);
+</html>`;
+}
+
+app.get("/", uiAuth, (req, res) => {
+  res.send(renderUi());
+});
+
+// ---------- Display (kiosk) mode ----------
+// panel=<station id>[:N|S][:<line>,<line>] (repeatable; no direction = one panel per direction),
+// board=<saved board slug> (repeatable), rotate=<seconds per page> (default 15), title
+function displayPanels({ stationId, dir, lines }, errors) {
+  const { station, isComplex, members, stopIds } = resolveStationStops(stationId);
+  if (!stopIds.length) {
+    errors.push(`Unknown station: ${stationId}`);
+    return [];
+  }
+  const name = (isComplex ? station.name : currentGtfs().stopName(stationId)) || station?.name || stationId;
+  const dirs = dir ? [dir] : ["N", "S"];
+
+  return dirs
+    .map((d) => ({
+      key: `${stationId}:${d}:${lines.join(",")}`,
+      stationId: String(stationId),
+      name,
+      dir: d,
+      label: DIRECTION_LABELS[d],
+      stopIds: stopIds.filter((sid) => sid.toUpperCase().endsWith(d)),
+      lines,
+      alertStopIds: members,
+    }))
+    .filter((p) => p.stopIds.length);
+}
+
+app.get("/display", uiAuth, (req, res) => {
+  const errors = [];
+  const specs = [];
+
+  for (const slug of asArrayParam(req.query.board)) {
+    const board = boardStore.get(slug);
+    if (!board) errors.push(`Unknown board: ${slug}`);
+    else specs.push({ stationId: board.stationId, dir: board.dir, lines: board.lines });
+  }
+  for (const panel of asArrayParam(req.query.panel)) {
+    const [stationId, dir = "", lines = ""] = String(panel).split(":");
+    specs.push({
+      stationId: stationId.trim(),
+      dir: ["N", "S"].includes(dir.trim().toUpperCase()) ? dir.trim().toUpperCase() : "",
+      lines: lines.split(",").map(normalizeLine).filter(Boolean),
+    });
+  }
+
+  const panels = specs.filter((p) => p.stationId).flatMap((p) => displayPanels(p, errors));
+  const rotateSec = Math.max(5, Number(req.query.rotate) || 15);
+  res.send(renderDisplayPage({ title: String(req.query.title || ""), rotateSec, panels, errors }));
+});
+
+// Permalink for a saved board
+app.get("/board/:slug", uiAuth, (req, res) => {
+  const board = boardStore.get(req.params.slug);
+  if (!board) return res.status(404).send(renderUi({ error: `No saved board called "${req.params.slug}".` }));
+  res.send(renderUi({ board }));
 });
 
 // ---------- start ----------
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log("Server listening on port " + PORT);
-  console.log("MTA GTFS-Realtime feeds: public access enabled");
+  feedCache.start();
+  alertsCache.start();
+  console.log(`API access: ${apiAuth.describe()}`);
+  const { dir, counts } = datasets.status();
+  console.log(dir ? `Dataset: ${dir}` : "Dataset: none published, using project root files");
+  console.log(`Static GTFS: ${counts.stops} stops, ${counts.routes} routes, ${counts.trips} trips`);
+  logFeedValidity();
+  // Re-check so expiry (or a reload) shows up in the log without a restart
+  setInterval(logFeedValidity, 10 * 60 * 1000).unref();
+});
+
+
+// ---------- WebSocket: /mta/ws (multi-stop subscriptions, pushes departure diffs) ----------
+attachDeparturesSocket(server, {
+  path: "/mta/ws",
+  feedCache,
+  pickFeedUrls: pickFeedUrlsForLines,
+  buildPayload: buildDeparturesPayload,
+  maxBufferedBytes: WS_MAX_BUFFERED_BYTES,
+  authorize: apiAuth.check,
 });
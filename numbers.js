@@ -0,0 +1,12 @@
+// numbers.js
+// Number helpers shared by the realtime modules.
+//
+// Usage:
+//   toNum(stu.arrival?.time); // epoch seconds, or null when unset/zero
+
+// Realtime times and timestamps decode as protobuf Long (or number) -> number, or null when unset/zero
+export function toNum(v) {
+  if (v == null) return null;
+  const n = v.toNumber?.() ?? Number(v);
+  return Number.isFinite(n) && n > 0 ? n : null;
+}
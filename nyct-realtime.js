@@ -0,0 +1,145 @@
+// nyct-realtime.js
+// Decodes MTA subway feeds including the NYCT GTFS-realtime extensions, which the generic
+// gtfs-realtime-bindings decoder skips as unknown fields:
+//
+//   extend TripDescriptor          { optional NyctTripDescriptor nyct_trip_descriptor = 1001; }
+//     NyctTripDescriptor           { train_id = 1; is_assigned = 2; direction = 3 (NORTH=1 EAST=2 SOUTH=3 WEST=4) }
+//   extend StopTimeUpdate          { optional NyctStopTimeUpdate nyct_stop_time_update = 1001; }
+//     NyctStopTimeUpdate           { scheduled_track = 1; actual_track = 2; }
+//
+// Usage:
+//   const feed = decodeNyctFeed(uint8Array);
+//   feed.entity[0].tripUpdate.trip.nyctTripDescriptor;          // { trainId, isAssigned, direction }
+//   feed.entity[0].tripUpdate.stopTimeUpdate[0].nyctStopTimeUpdate; // { scheduledTrack, actualTrack }
+
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import protobuf from "protobufjs/minimal.js";
+
+const { FeedMessage } = GtfsRealtimeBindings.transit_realtime;
+
+const NYCT_EXTENSION_FIELD = 1001;
+const NYCT_DIRECTIONS = { 1: "NORTH", 2: "EAST", 3: "SOUTH", 4: "WEST" };
+
+// Walk one message's fields; handlers[fieldNo](reader, wireType) must consume the value it is given
+function walk(bytes, handlers) {
+  const r = protobuf.Reader.create(bytes);
+  while (r.pos < r.len) {
+    const tag = r.uint32();
+    const field = tag >>> 3;
+    const wireType = tag & 7;
+    const h = handlers[field];
+    if (h) h(r, wireType);
+    else r.skipType(wireType);
+  }
+}
+
+function sub(handlers) {
+  return (r, wireType) => {
+    if (wireType !== 2) return r.skipType(wireType);
+    walk(r.bytes(), handlers);
+  };
+}
+
+function decodeTripDescriptorExt(bytes) {
+  const out = { trainId: null, isAssigned: null, direction: null };
+  walk(bytes, {
+    1: (r) => (out.trainId = r.string().trim()),
+    2: (r) => (out.isAssigned = r.bool()),
+    3: (r) => (out.direction = NYCT_DIRECTIONS[r.int32()] || null),
+  });
+  return out;
+}
+
+function decodeStopTimeUpdateExt(bytes) {
+  const out = { scheduledTrack: null, actualTrack: null };
+  walk(bytes, {
+    1: (r) => (out.scheduledTrack = r.string() || null),
+    2: (r) => (out.actualTrack = r.string() || null),
+  });
+  return out;
+}
+
+// entity index -> { trip: NyctTripDescriptor|null, stus: { stuIndex: NyctStopTimeUpdate } }
+function readExtensions(bytes) {
+  const byEntity = new Map();
+  let entityIdx = -1;
+
+  walk(bytes, {
+    // FeedMessage.entity = 2
+    2: (r, wt) => {
+      entityIdx++;
+      const ext = { trip: null, stus: new Map() };
+      let stuIdx = -1;
+      sub({
+        // FeedEntity.trip_update = 3
+        3: sub({
+          // TripUpdate.trip = 1
+          1: sub({
+            [NYCT_EXTENSION_FIELD]: (r2, wt2) => {
+              if (wt2 !== 2) return r2.skipType(wt2);
+              ext.trip = decodeTripDescriptorExt(r2.bytes());
+            },
+          }),
+          // TripUpdate.stop_time_update = 2
+          2: (r2, wt2) => {
+            stuIdx++;
+            const idx = stuIdx;
+            sub({
+              [NYCT_EXTENSION_FIELD]: (r3, wt3) => {
+                if (wt3 !== 2) return r3.skipType(wt3);
+                ext.stus.set(idx, decodeStopTimeUpdateExt(r3.bytes()));
+              },
+            })(r2, wt2);
+          },
+        }),
+      })(r, wt);
+      if (ext.trip || ext.stus.size) byEntity.set(entityIdx, ext);
+    },
+  });
+
+  return byEntity;
+}
+
+export function decodeNyctFeed(bytes) {
+  const feed = FeedMessage.decode(bytes);
+
+  let extensions;
+  try {
+    extensions = readExtensions(bytes);
+  } catch (err) {
+    // The base message already decoded; missing extensions only cost us track/train info
+    console.error(`NYCT extension decode failed: ${err.message}`);
+    return feed;
+  }
+
+  for (const [i, ext] of extensions) {
+    const tu = feed.entity[i]?.tripUpdate;
+    if (!tu) continue;
+    if (ext.trip && tu.trip) tu.trip.nyctTripDescriptor = ext.trip;
+    for (const [j, stuExt] of ext.stus) {
+      if (tu.stopTimeUpdate[j]) tu.stopTimeUpdate[j].nyctStopTimeUpdate = stuExt;
+    }
+  }
+  return feed;
+}
+
+// Track info for one stop: reroute = train is using a different track than scheduled
+// (e.g. running express on a local track)
+export function stopTrack(stu) {
+  const ext = stu?.nyctStopTimeUpdate;
+  if (!ext) return { scheduledTrack: null, actualTrack: null, trackChanged: false };
+  return {
+    scheduledTrack: ext.scheduledTrack,
+    actualTrack: ext.actualTrack,
+    trackChanged: !!(ext.scheduledTrack && ext.actualTrack && ext.scheduledTrack !== ext.actualTrack),
+  };
+}
+
+export function tripTrain(trip) {
+  const ext = trip?.nyctTripDescriptor;
+  return {
+    trainId: ext?.trainId || null,
+    isAssigned: ext?.isAssigned ?? null,
+    nyctDirection: ext?.direction || null,
+  };
+}
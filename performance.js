@@ -0,0 +1,114 @@
+// performance.js
+// Rolling delay statistics per line and direction, built from realtime feed snapshots compared
+// against the static schedule.
+//
+// Usage:
+//   const perf = createPerformanceTracker({ gtfs, getSchedule: () => schedule });
+//   // or getGtfs: () => datasets.current().gtfs, to follow dataset reloads
+//   feedCache.subscribe((url, entry) => perf.observeFeed(entry.feed));
+//   perf.summary("A"); // { line, directions: [{ dir, samples, medianDelaySeconds, p90DelaySeconds, percentOnTime }] }
+
+import { serviceDateOf, tripDirection } from "./static-gtfs.js";
+import { toNum } from "./numbers.js";
+
+// Nearest-rank percentile of a sorted array
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[idx];
+}
+
+export function createPerformanceTracker({
+  gtfs,
+  getGtfs = () => gtfs,
+  getSchedule,
+  windowSec = 3 * 3600,
+  onTimeEarlySec = 60,
+  onTimeLateSec = 300,
+}) {
+  // "<tripId>|<startDate>" -> { line, dir, delaySeconds, at }: latest delay per trip, so a trip
+  // seen in every 30s poll still counts once
+  const latestByTrip = new Map();
+
+  function prune(nowSec) {
+    for (const [k, o] of latestByTrip) {
+      if (nowSec - o.at > windowSec) latestByTrip.delete(k);
+    }
+  }
+
+  // Delay of each trip at its next stop (first stop still in the future)
+  function observeFeed(feed, { now = Date.now() } = {}) {
+    const schedule = getSchedule();
+    if (!schedule?.loaded || !feed) return 0;
+    const gtfs = getGtfs();
+
+    const nowSec = Math.floor(now / 1000);
+    const today = serviceDateOf(new Date(now), gtfs.timezone);
+    let recorded = 0;
+
+    for (const entity of feed.entity || []) {
+      const tu = entity.tripUpdate;
+      if (!tu?.trip?.tripId || !tu.stopTimeUpdate?.length) continue;
+
+      const serviceDate = tu.trip.startDate || today;
+      const staticTrip = gtfs.matchTrip({ tripId: tu.trip.tripId, startDate: serviceDate });
+      if (!staticTrip) continue;
+
+      for (const stu of tu.stopTimeUpdate) {
+        const t = toNum(stu.departure?.time) ?? toNum(stu.arrival?.time);
+        if (!t || t < nowSec || !stu.stopId) continue;
+
+        const sched = schedule.scheduledTime(staticTrip.tripId, stu.stopId, serviceDate);
+        if (sched == null) continue;
+
+        latestByTrip.set(`${tu.trip.tripId}|${serviceDate}`, {
+          line: String(tu.trip.routeId || staticTrip.routeId).toUpperCase(),
+          dir: tripDirection(staticTrip, tu.trip.tripId, stu.stopId),
+          delaySeconds: t - sched,
+          at: nowSec,
+        });
+        recorded++;
+        break;
+      }
+    }
+
+    prune(nowSec);
+    return recorded;
+  }
+
+  function summary(line, { now = Date.now() } = {}) {
+    prune(Math.floor(now / 1000));
+    line = String(line || "").trim().toUpperCase();
+
+    const byDir = new Map();
+    for (const o of latestByTrip.values()) {
+      if (o.line !== line) continue;
+      const dir = o.dir || "?";
+      if (!byDir.has(dir)) byDir.set(dir, []);
+      byDir.get(dir).push(o.delaySeconds);
+    }
+
+    const directions = Array.from(byDir.entries())
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([dir, delays]) => {
+        const sorted = delays.slice().sort((a, b) => a - b);
+        const onTime = sorted.filter((d) => d >= -onTimeEarlySec && d <= onTimeLateSec).length;
+        return {
+          dir,
+          samples: sorted.length,
+          medianDelaySeconds: percentile(sorted, 50),
+          p90DelaySeconds: percentile(sorted, 90),
+          percentOnTime: Math.round((onTime / sorted.length) * 1000) / 10,
+        };
+      });
+
+    return {
+      line,
+      windowSeconds: windowSec,
+      onTime: { earlySeconds: onTimeEarlySec, lateSeconds: onTimeLateSec },
+      directions,
+    };
+  }
+
+  return { observeFeed, summary };
+}
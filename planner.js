@@ -0,0 +1,356 @@
+// planner.js
+// Point-to-point journey planner. Runs an earliest-arrival connection scan over realtime trip
+// predictions, with static-schedule trips standing in for lines that have no realtime trains.
+// Changing between stations costs transfers.txt min_transfer_time, and the line graph built from
+// station lines limits the search to lines that can plausibly be part of the trip.
+//
+// Usage:
+//   const planner = createJourneyPlanner({ gtfs, getSchedule: () => schedule });
+//   // or getGtfs: () => datasets.current().gtfs, to follow dataset reloads
+//   planner.plan({ from: ["127"], to: ["635"], feeds, stations, departAt: Date.now() });
+//   // -> [{ departureTime, arrivalTime, durationMinutes, transfers, legs: [{ type: "ride" | "transfer", ... }] }]
+
+import { tripDirection } from "./static-gtfs.js";
+import { toNum } from "./numbers.js";
+
+// Changing trains within a station when transfers.txt has no from == to row for it
+const DEFAULT_TRANSFER_SEC = 120;
+
+// Platform "127N" -> parent station "127"
+function stationOf(gtfs, stopId) {
+  const stop = gtfs.stops.get(String(stopId));
+  return stop?.parent || String(stopId).replace(/[NS]$/, "");
+}
+
+// Realtime route ids ("GS", "SI") -> the line names station records use ("S", "SIR")
+function lineOf(gtfs, routeId) {
+  const id = String(routeId || "").toUpperCase();
+  return String(gtfs.routes.get(id)?.shortName || id).toUpperCase();
+}
+
+// ---------- line graph ----------
+// station id -> [line], from stations-ui records (complexes list lines per member)
+function stationLinesOf(stations) {
+  const out = new Map();
+  for (const s of stations || []) {
+    if (s.memberLines) {
+      for (const [member, lines] of Object.entries(s.memberLines)) out.set(String(member), lines);
+    } else {
+      out.set(String(s.id), s.lines || []);
+    }
+  }
+  return out;
+}
+
+// Two lines are adjacent when they stop at the same station or at two stations joined by a transfer
+export function buildLineGraph(stationLines, transfers) {
+  const adj = new Map();
+  const link = (a, b) => {
+    a = String(a).toUpperCase();
+    b = String(b).toUpperCase();
+    if (!adj.has(a)) adj.set(a, new Set());
+    if (!adj.has(b)) adj.set(b, new Set());
+    if (a === b) return;
+    adj.get(a).add(b);
+    adj.get(b).add(a);
+  };
+
+  for (const lines of stationLines.values()) {
+    for (const a of lines) for (const b of lines) link(a, b);
+  }
+  for (const [from, list] of transfers) {
+    for (const { to } of list) {
+      if (to === from) continue;
+      for (const a of stationLines.get(from) || []) {
+        for (const b of stationLines.get(to) || []) link(a, b);
+      }
+    }
+  }
+  return adj;
+}
+
+// line -> number of changes needed to reach it from any start line
+function lineDistances(graph, startLines) {
+  const dist = new Map();
+  let frontier = [];
+  for (const l of startLines) {
+    const key = String(l).toUpperCase();
+    if (!dist.has(key)) {
+      dist.set(key, 0);
+      frontier.push(key);
+    }
+  }
+  while (frontier.length) {
+    const next = [];
+    for (const l of frontier) {
+      for (const n of graph.get(l) || []) {
+        if (dist.has(n)) continue;
+        dist.set(n, dist.get(l) + 1);
+        next.push(n);
+      }
+    }
+    frontier = next;
+  }
+  return dist;
+}
+
+// Lines on some origin line -> ... -> destination line path with at most maxTransfers changes
+function candidateLines(graph, fromLines, toLines, maxTransfers) {
+  const dFrom = lineDistances(graph, fromLines);
+  const dTo = lineDistances(graph, toLines);
+  const out = new Set();
+  for (const [line, d] of dFrom) {
+    if (dTo.has(line) && d + dTo.get(line) <= maxTransfers) out.add(line);
+  }
+  return out;
+}
+
+// ---------- trip timelines ----------
+// Realtime trip updates -> [{ key, tripId, routeId, headsign, source, stops: [{ stopId, arrival, departure }] }]
+function realtimeTimelines(feeds, gtfs) {
+  const out = [];
+  const seen = new Set();
+
+  for (const feed of feeds) {
+    for (const entity of feed.entity || []) {
+      const tu = entity.tripUpdate;
+      const tripId = tu?.trip?.tripId;
+      if (!tripId || !tu.stopTimeUpdate?.length || seen.has(tripId)) continue;
+      seen.add(tripId);
+
+      const staticTrip = gtfs.matchTrip({ tripId, startDate: tu.trip.startDate });
+      const stops = tu.stopTimeUpdate
+        .map((stu) => ({ stopId: stu.stopId, arrival: toNum(stu.arrival?.time), departure: toNum(stu.departure?.time) }))
+        .filter((s) => s.stopId && (s.arrival || s.departure));
+      const last = stops[stops.length - 1];
+
+      out.push({
+        key: `rt:${tripId}`,
+        tripId,
+        staticTripId: staticTrip?.tripId || null,
+        routeId: String(tu.trip.routeId || staticTrip?.routeId || "").toUpperCase(),
+        headsign: staticTrip?.headsign || (last ? gtfs.stopName(last.stopId) : null),
+        direction: tripDirection(staticTrip, tripId, stops[0]?.stopId),
+        source: "realtime",
+        stops,
+      });
+    }
+  }
+  return out;
+}
+
+// Scheduled trips only for lines with no realtime trains at all (same rule as the departures board)
+function scheduledTimelines(schedule, gtfs, realtime, { now, horizonSec }) {
+  if (!schedule?.loaded) return [];
+  const liveRoutes = new Set(realtime.map((t) => t.routeId));
+
+  return schedule
+    .tripTimelines({ now, horizonSec })
+    .filter((t) => !liveRoutes.has(t.routeId))
+    .map((t) => ({
+      key: `sched:${t.serviceDate}:${t.tripId}`,
+      tripId: t.tripId,
+      staticTripId: t.tripId,
+      routeId: t.routeId,
+      headsign: t.headsign,
+      direction: tripDirection(gtfs.trips.get(t.tripId), t.tripId, t.stops[0]?.stopId),
+      source: "scheduled",
+      stops: t.stops.map((s) => ({ stopId: s.stopId, arrival: s.time, departure: s.time })),
+    }));
+}
+
+// Consecutive stops of each trip -> connections sorted by departure time
+function buildConnections(timelines, gtfs) {
+  const connections = [];
+  for (const trip of timelines) {
+    for (let i = 0; i + 1 < trip.stops.length; i++) {
+      const a = trip.stops[i];
+      const b = trip.stops[i + 1];
+      const dep = a.departure ?? a.arrival;
+      const arr = b.arrival ?? b.departure;
+      if (dep == null || arr == null || arr < dep) continue;
+      connections.push({
+        trip,
+        index: i,
+        fromStop: a.stopId,
+        toStop: b.stopId,
+        from: stationOf(gtfs, a.stopId),
+        to: stationOf(gtfs, b.stopId),
+        dep,
+        arr,
+      });
+    }
+  }
+  connections.sort((x, y) => x.dep - y.dep || x.arr - y.arr);
+  return connections;
+}
+
+// ---------- connection scan ----------
+// A step is how a station was reached: a ride (board + alight connection), optionally followed by
+// a walk to another station. Labels are kept per (station, rides taken so far) so a faster path
+// with one change too many can't hide a slower one within maxTransfers. Returns the step that
+// reaches a target first, or null.
+function earliestArrival(connections, { origins, targets, departAt, transferSec, walksFrom, maxTransfers }) {
+  const maxRides = maxTransfers + 1;
+  const ready = new Map(); // "station|rides" -> earliest time a new train can be boarded there
+  const via = new Map(); // "station|rides" -> step
+  const boarded = new Map(); // "trip key|rides" -> connection the rider got on at
+  let best = null;
+  let bestTime = Infinity;
+
+  const readyAt = (station, k) => ready.get(`${station}|${k}`) ?? Infinity;
+
+  const reach = (station, k, time, step) => {
+    if (targets.has(station)) {
+      if (time < bestTime) {
+        bestTime = time;
+        best = step;
+      }
+      return;
+    }
+    // Already there as early with no more rides
+    for (let j = 0; j <= k; j++) if (readyAt(station, j) <= time) return;
+    ready.set(`${station}|${k}`, time);
+    via.set(`${station}|${k}`, step);
+  };
+
+  for (const o of origins) {
+    ready.set(`${o}|0`, departAt);
+    for (const w of walksFrom(o)) {
+      reach(w.to, 0, departAt + w.minTransferTime, { ride: null, walk: { from: o, to: w.to, seconds: w.minTransferTime } });
+    }
+  }
+
+  for (const c of connections) {
+    if (c.dep < departAt) continue;
+    if (c.dep >= bestTime) break;
+
+    // Fewest rides this train can be on with; more would only repeat the same arrival
+    let board = null;
+    let k = 0;
+    for (; k < maxRides; k++) {
+      board = boarded.get(`${c.trip.key}|${k}`);
+      if (board) break;
+      if (readyAt(c.from, k) <= c.dep) {
+        boarded.set(`${c.trip.key}|${k}`, (board = c));
+        break;
+      }
+    }
+    if (!board) continue;
+
+    const ride = { board, alight: c, ridesBefore: k };
+    if (targets.has(c.to)) {
+      reach(c.to, k + 1, c.arr, { ride, walk: null });
+      continue;
+    }
+    if (k + 1 === maxRides) continue; // no more changes allowed
+    reach(c.to, k + 1, c.arr + transferSec(c.to), { ride, walk: null });
+    for (const w of walksFrom(c.to)) {
+      reach(w.to, k + 1, c.arr + w.minTransferTime, { ride, walk: { from: c.to, to: w.to, seconds: w.minTransferTime } });
+    }
+  }
+
+  return best ? { departAt, arrivalTime: bestTime, step: best, via } : null;
+}
+
+function stationRef(gtfs, stationId, stopId) {
+  return { stationId, stopId: stopId || null, name: gtfs.stopName(stopId || stationId) || gtfs.stopName(stationId) };
+}
+
+function toItinerary({ departAt, arrivalTime, step, via }, gtfs) {
+  const legs = [];
+  while (step) {
+    if (step.walk) {
+      legs.unshift({
+        type: "transfer",
+        from: stationRef(gtfs, step.walk.from),
+        to: stationRef(gtfs, step.walk.to),
+        minTransferTime: step.walk.seconds,
+      });
+    }
+    if (!step.ride) break;
+
+    const { board, alight, ridesBefore } = step.ride;
+    const trip = board.trip;
+    legs.unshift({
+      type: "ride",
+      routeId: trip.routeId,
+      tripId: trip.tripId,
+      headsign: trip.headsign,
+      direction: trip.direction,
+      source: trip.source,
+      from: stationRef(gtfs, board.from, board.fromStop),
+      to: stationRef(gtfs, alight.to, alight.toStop),
+      departureTime: board.dep,
+      arrivalTime: alight.arr,
+      stops: alight.index - board.index + 1,
+    });
+    // undefined at an origin
+    step = via.get(`${board.from}|${ridesBefore}`);
+  }
+
+  // No ride when the destination is a walk away (another station in the same complex)
+  const rides = legs.filter((l) => l.type === "ride");
+  const departureTime = rides.length ? rides[0].departureTime : departAt;
+  return {
+    departureTime,
+    arrivalTime,
+    durationMinutes: Math.round((arrivalTime - departureTime) / 60),
+    transfers: Math.max(0, rides.length - 1),
+    legs,
+  };
+}
+
+export function createJourneyPlanner({
+  gtfs,
+  getGtfs = () => gtfs,
+  getSchedule = () => null,
+  defaultTransferSec = DEFAULT_TRANSFER_SEC,
+}) {
+  // from/to: parent station ids (all members of a complex); departAt: epoch ms.
+  // Itineraries are distinct departures, each arriving strictly later than the one before.
+  function plan({ from, to, feeds = [], stations = [], departAt = Date.now(), limit = 3, maxTransfers = 3, horizonSec = 3 * 3600 }) {
+    const gtfs = getGtfs();
+    const transferSec = (station) =>
+      gtfs.transfers.get(station)?.find((t) => t.to === station)?.minTransferTime ?? defaultTransferSec;
+    const walksFrom = (station) => (gtfs.transfers.get(station) || []).filter((t) => t.to !== station);
+    const origins = new Set(from.map(String));
+    const targets = new Set(to.map(String));
+    const startSec = Math.floor(departAt / 1000);
+
+    const stationLines = stationLinesOf(stations);
+    const graph = buildLineGraph(stationLines, gtfs.transfers);
+    const linesAt = (ids) => [...ids].flatMap((id) => stationLines.get(id) || []);
+    const lines = candidateLines(graph, linesAt(origins), linesAt(targets), maxTransfers);
+
+    const realtime = realtimeTimelines(feeds, gtfs);
+    const timelines = [...realtime, ...scheduledTimelines(getSchedule(), gtfs, realtime, { now: departAt, horizonSec })];
+
+    const search = (allowed) => {
+      const connections = buildConnections(
+        timelines.filter((t) => !allowed || allowed.has(lineOf(gtfs, t.routeId))),
+        gtfs
+      );
+      const out = [];
+      let t = startSec;
+      while (out.length < limit) {
+        const found = earliestArrival(connections, { origins, targets, departAt: t, transferSec, walksFrom, maxTransfers });
+        if (!found) break;
+        const it = toItinerary(found, gtfs);
+        // Leaving later without arriving later beats the previous option
+        while (out.length && it.arrivalTime <= out[out.length - 1].arrivalTime) out.pop();
+        out.push(it);
+        // A walk is there whenever you leave; later departures can't do better
+        if (!it.legs.some((l) => l.type === "ride")) break;
+        t = it.departureTime + 1;
+      }
+      return out;
+    };
+
+    // Station line lists can miss part-time service; retry over every line before giving up
+    const itineraries = lines.size ? search(lines) : [];
+    return itineraries.length ? itineraries : search(null);
+  }
+
+  return { plan };
+}
@@ -0,0 +1,33 @@
+// route-colors.js
+// MTA line colours, shared by the board page and the /display page so a line looks the same on both.
+//
+// Usage:
+//   `<style>${routeColorCss()}</style>`          // .route-blue{ background:#0039A6; } ...
+//   `<script>const ROUTE_CLASS = ${JSON.stringify(ROUTE_CLASS)};</script>`
+//   ROUTE_CLASS["A"]; // "route-blue" (undefined for unknown routes)
+
+// Class -> colours and the route ids drawn in it (express variants and shuttles included)
+export const ROUTE_COLORS = {
+  "route-blue": { background: "#0039A6", routes: ["A", "C", "E"] },
+  "route-orange": { background: "#FF6319", routes: ["B", "D", "F", "FX", "M"] },
+  "route-grey": { background: "#6c757d", routes: ["S", "GS", "FS", "H"] },
+  "route-brightgreen": { background: "#00A550", routes: ["G"] },
+  "route-brown": { background: "#996633", routes: ["J", "Z"] },
+  "route-yellow": { background: "#FCCC0A", color: "#111", routes: ["N", "Q", "R", "W"] },
+  "route-lightgrey": { background: "#A7A9AC", color: "#111", routes: ["L"] },
+  "route-red": { background: "#EE352E", routes: ["1", "2", "3"] },
+  "route-green": { background: "#00933C", routes: ["4", "5", "6", "6X"] },
+  "route-purple": { background: "#B933AD", routes: ["7", "7X"] },
+  "route-lightblue": { background: "#5DA9E9", color: "#111", routes: ["SI", "SIR"] },
+};
+
+// Route id (upper case) -> colour class
+export const ROUTE_CLASS = Object.fromEntries(
+  Object.entries(ROUTE_COLORS).flatMap(([cls, { routes }]) => routes.map((r) => [r, cls]))
+);
+
+export function routeColorCss() {
+  return Object.entries(ROUTE_COLORS)
+    .map(([cls, c]) => `.${cls}{ background:${c.background};${c.color ? ` color:${c.color};` : ""} } /* ${c.routes.join("/")} */`)
+    .join("\n");
+}
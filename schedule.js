@@ -0,0 +1,179 @@
+// schedule.js
+// Static schedule engine: streams stop_times.txt once and answers "next scheduled departures at stop X",
+// using the calendar (with calendar_dates exceptions) to decide which trips run on a given day.
+//
+// Usage:
+//   const schedule = await loadSchedule({ gtfs: staticGtfs, dirs: ["./gtfs", "."] });
+//   schedule.nextDepartures(["635S"], { lines: ["6"], limit: 5 });
+//   // -> [{ routeId, stopId, tripId, headsign, timestamp, etaMinutes, source: "scheduled", ... }]
+//   schedule.scheduledTime(staticTripId, "635S", "20260105"); // unix seconds or null
+//   schedule.tripTimelines({ lines: ["6"] }); // [{ tripId, routeId, stops: [{ stopId, time }] }]
+
+import fs from "node:fs";
+import path from "node:path";
+import { parse } from "csv-parse";
+import { serviceDateOf, serviceDayStartSec, addDays, tripDirection } from "./static-gtfs.js";
+
+function streamCsv(filePath) {
+  return fs
+    .createReadStream(filePath)
+    .pipe(
+      parse({
+        columns: true,
+        relax_quotes: true,
+        relax_column_count: true,
+        trim: true,
+      })
+    );
+}
+
+// "25:10:00" -> seconds after the start of the service day (GTFS allows > 24h)
+function parseGtfsTime(t) {
+  const m = String(t || "").match(/^(\d+):(\d{2}):(\d{2})$/);
+  if (!m) return null;
+  return Number(m[1]) * 3600 + Number(m[2]) * 60 + Number(m[3]);
+}
+
+// First index in a sorted array of [sec, ...] with sec >= target
+function lowerBound(list, target) {
+  let lo = 0;
+  let hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid][0] < target) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+export async function loadSchedule({ gtfs, dirs = ["./gtfs", "."] }) {
+  // stop_id -> [[departureSec, tripId]] sorted by time
+  const byStop = new Map();
+  // trip_id -> { stopId, seq } of its last stop (the terminal)
+  const lastStop = new Map();
+  // trip_id -> [[seq, departureSec, stopId]] (sorted by seq once loaded), for the planner and scheduledTime
+  const byTrip = new Map();
+  let rows = 0;
+
+  const file = dirs.map((d) => path.join(d, "stop_times.txt")).find((p) => fs.existsSync(p));
+  if (file) {
+    for await (const row of streamCsv(file)) {
+      const { trip_id: tripId, stop_id: stopId } = row;
+      if (!tripId || !stopId || !gtfs.trips.has(tripId)) continue;
+
+      const sec = parseGtfsTime(row.departure_time || row.arrival_time);
+      if (sec == null) continue;
+
+      let list = byStop.get(stopId);
+      if (!list) byStop.set(stopId, (list = []));
+      list.push([sec, tripId]);
+
+      const seq = Number(row.stop_sequence) || 0;
+      const prev = lastStop.get(tripId);
+      if (!prev || seq > prev.seq) lastStop.set(tripId, { stopId, seq });
+
+      let stops = byTrip.get(tripId);
+      if (!stops) byTrip.set(tripId, (stops = []));
+      stops.push([seq, sec, stopId]);
+      rows++;
+    }
+    for (const list of byStop.values()) list.sort((a, b) => a[0] - b[0]);
+    for (const stops of byTrip.values()) stops.sort((a, b) => a[0] - b[0]);
+  }
+
+  // Scheduled time (unix seconds) of a static trip at a stop on a service date ("YYYYMMDD"), or null.
+  // Called for every stop-time update, so it scans the trip's few dozen stops, not the stop's whole day
+  function scheduledTime(tripId, stopId, serviceDate) {
+    stopId = String(stopId);
+    const hit = byTrip.get(tripId)?.find(([, , s]) => s === stopId);
+    if (!hit) return null;
+    return serviceDayStartSec(serviceDate, gtfs.timezone) + hit[1];
+  }
+
+  // Look at yesterday's service day too: its after-midnight trips (24:xx:xx) run "today"
+  function nextDepartures(stopIds, { now = Date.now(), lines = [], limit = 10, horizonSec = 2 * 3600 } = {}) {
+    const nowSec = Math.floor(now / 1000);
+    const allowSet = new Set(lines.map((l) => String(l).trim().toUpperCase()).filter(Boolean));
+    const today = serviceDateOf(new Date(now), gtfs.timezone);
+    const out = [];
+
+    for (const serviceDate of [addDays(today, -1), today]) {
+      const active = gtfs.activeServiceIds(serviceDate);
+      if (!active.size) continue;
+      const dayStart = serviceDayStartSec(serviceDate, gtfs.timezone);
+
+      for (const stopId of stopIds) {
+        const list = byStop.get(String(stopId));
+        if (!list) continue;
+
+        for (let i = lowerBound(list, nowSec - dayStart); i < list.length; i++) {
+          const [sec, tripId] = list[i];
+          const timestamp = dayStart + sec;
+          if (timestamp > nowSec + horizonSec) break;
+
+          const trip = gtfs.trips.get(tripId);
+          if (!active.has(trip.serviceId)) continue;
+          const routeId = String(trip.routeId).toUpperCase();
+          if (allowSet.size && !allowSet.has(routeId)) continue;
+
+          const terminal = lastStop.get(tripId)?.stopId || null;
+          out.push({
+            routeId,
+            stopId: String(stopId),
+            tripId,
+            headsign: trip.headsign || (terminal ? gtfs.stopName(terminal) : null),
+            direction: tripDirection(trip, tripId, stopId),
+            destinationStopId: terminal,
+            destination: terminal ? gtfs.stopName(terminal) : null,
+            timestamp,
+            etaMinutes: Math.round((timestamp - nowSec) / 60),
+            source: "scheduled",
+          });
+        }
+      }
+    }
+
+    out.sort((a, b) => a.timestamp - b.timestamp);
+    return out.slice(0, limit);
+  }
+
+  // Every scheduled trip running during [now, now + horizon] as a timeline of stop times
+  // -> [{ tripId, routeId, headsign, serviceDate, stops: [{ stopId, time }] }]
+  function tripTimelines({ now = Date.now(), lines = [], horizonSec = 3 * 3600 } = {}) {
+    const nowSec = Math.floor(now / 1000);
+    const allowSet = new Set(lines.map((l) => String(l).trim().toUpperCase()).filter(Boolean));
+    const today = serviceDateOf(new Date(now), gtfs.timezone);
+    const out = [];
+
+    for (const serviceDate of [addDays(today, -1), today]) {
+      const active = gtfs.activeServiceIds(serviceDate);
+      if (!active.size) continue;
+      const dayStart = serviceDayStartSec(serviceDate, gtfs.timezone);
+
+      for (const [tripId, stops] of byTrip) {
+        const trip = gtfs.trips.get(tripId);
+        if (!active.has(trip.serviceId)) continue;
+        const routeId = String(trip.routeId).toUpperCase();
+        if (allowSet.size && !allowSet.has(routeId)) continue;
+        if (dayStart + stops[stops.length - 1][1] < nowSec || dayStart + stops[0][1] > nowSec + horizonSec) continue;
+
+        out.push({
+          tripId,
+          routeId,
+          headsign: trip.headsign || gtfs.stopName(stops[stops.length - 1][2]),
+          serviceDate,
+          stops: stops.map(([, sec, stopId]) => ({ stopId, time: dayStart + sec })),
+        });
+      }
+    }
+    return out;
+  }
+
+  return {
+    loaded: !!file,
+    size: rows,
+    nextDepartures,
+    scheduledTime,
+    tripTimelines,
+  };
+}
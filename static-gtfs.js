@@ -0,0 +1,286 @@
+// static-gtfs.js
+// Loads the static GTFS files the server needs (stops, routes, trips, transfers, calendar, feed_info)
+// into memory and joins realtime trip descriptors to static trips.
+//
+// Usage:
+//   const gtfs = loadStaticGtfs({ dirs: ["./gtfs", "."] });
+//   const trip = gtfs.matchTrip({ tripId: "000600_1..S03R", startDate: "20260104" });
+//   gtfs.stopName("101N"); // "Van Cortlandt Park-242 St"
+//   gtfs.feedInfo;         // { feedVersion, start: "20251208", end: "20260516", source: "calendar", ... }
+
+import fs from "node:fs";
+import path from "node:path";
+import { parse } from "csv-parse/sync";
+
+// Look for a GTFS file in each dir in order (calendar*.txt live in the project root, the rest in ./gtfs)
+function findFile(dirs, name) {
+  for (const d of dirs) {
+    const p = path.join(d, name);
+    if (fs.existsSync(p)) return p;
+  }
+  return null;
+}
+
+function readCsv(dirs, name) {
+  const p = findFile(dirs, name);
+  if (!p) return [];
+  const text = fs.readFileSync(p, "utf8").replace(/^\uFEFF/, "");
+  return parse(text, { columns: true, skip_empty_lines: true, trim: true, relax_column_count: true });
+}
+
+// MTA trip ids: "<origin time>_<route>..<dir><shape>", e.g. "000600_1..S03R" or "131850_GS.S04R".
+// Static ids carry the same thing after a schedule prefix: "AFA25GEN-1038-Sunday-00_000600_1..S03R".
+export function parseMtaTripId(tripId) {
+  const m = String(tripId || "").match(/(\d{6})_([A-Z0-9]+)\.{1,2}([NS])([A-Z0-9]*)$/i);
+  if (!m) return null;
+  return {
+    origin: m[1],
+    route: m[2].toUpperCase(),
+    dir: m[3].toUpperCase(),
+    shape: m[4].toUpperCase(),
+  };
+}
+
+// Platform suffix -> rider-facing label (same wording as the UI's direction screen)
+export const DIRECTION_LABELS = { N: "Uptown", S: "Downtown" };
+
+// direction_id 0 = northbound (N platforms), 1 = southbound (S platforms)
+export function tripDirection(staticTrip, tripId, stopId) {
+  if (staticTrip?.directionId === 0) return "N";
+  if (staticTrip?.directionId === 1) return "S";
+  const parsed = parseMtaTripId(tripId);
+  if (parsed) return parsed.dir;
+  const last = String(stopId || "").slice(-1).toUpperCase();
+  return last === "N" || last === "S" ? last : null;
+}
+
+function tripKey({ origin, route, dir }) {
+  return `${origin}_${route}_${dir}`;
+}
+
+// "YYYYMMDD" for an instant, as seen in the agency's timezone
+export function serviceDateOf(date, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" })
+    .formatToParts(date)
+    .reduce((o, p) => ((o[p.type] = p.value), o), {});
+  return `${parts.year}${parts.month}${parts.day}`;
+}
+
+// Milliseconds to add to UTC to get wall-clock time in timeZone at that instant
+function tzOffsetMs(epochMs, timeZone) {
+  const p = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  })
+    .formatToParts(new Date(epochMs))
+    .reduce((o, x) => ((o[x.type] = Number(x.value)), o), {});
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(epochMs / 1000) * 1000;
+}
+
+// GTFS times count from "noon minus 12h" of the service date (so DST days still line up)
+export function serviceDayStartSec(dateStr, timeZone) {
+  const noonUtc = Date.UTC(Number(dateStr.slice(0, 4)), Number(dateStr.slice(4, 6)) - 1, Number(dateStr.slice(6, 8)), 12);
+  const noonLocal = noonUtc - tzOffsetMs(noonUtc, timeZone);
+  return Math.floor(noonLocal / 1000) - 12 * 3600;
+}
+
+// "YYYYMMDD" +/- days
+export function addDays(dateStr, days) {
+  const d = new Date(Date.UTC(Number(dateStr.slice(0, 4)), Number(dateStr.slice(4, 6)) - 1, Number(dateStr.slice(6, 8))));
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10).replace(/-/g, "");
+}
+
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+export function loadStaticGtfs({ dirs = ["./gtfs", "."] } = {}) {
+  // ---------- stops ----------
+  // stop_id -> { id, name, lat, lon, parent }, plus parent station -> [platform stop_id]
+  const stops = new Map();
+  const platformsByStation = new Map();
+  for (const r of readCsv(dirs, "stops.txt")) {
+    if (!r.stop_id) continue;
+    const parent = r.parent_station || "";
+    stops.set(r.stop_id, {
+      id: r.stop_id,
+      name: r.stop_name || r.stop_id,
+      lat: r.stop_lat ? Number(r.stop_lat) : null,
+      lon: r.stop_lon ? Number(r.stop_lon) : null,
+      parent,
+    });
+    if (parent) {
+      let list = platformsByStation.get(parent);
+      if (!list) platformsByStation.set(parent, (list = []));
+      list.push(r.stop_id);
+    }
+  }
+
+  // ---------- routes ----------
+  const routes = new Map();
+  for (const r of readCsv(dirs, "routes.txt")) {
+    if (!r.route_id) continue;
+    routes.set(r.route_id, {
+      id: r.route_id,
+      shortName: r.route_short_name || r.route_id,
+      longName: r.route_long_name || "",
+      color: r.route_color || "",
+    });
+  }
+
+  // ---------- trips ----------
+  // trip_id -> trip, plus "<origin>_<route>_<dir>" -> [trip] for matching realtime ids
+  const trips = new Map();
+  const tripsByKey = new Map();
+  for (const r of readCsv(dirs, "trips.txt")) {
+    if (!r.trip_id) continue;
+    const trip = {
+      tripId: r.trip_id,
+      routeId: r.route_id,
+      serviceId: r.service_id,
+      headsign: r.trip_headsign || "",
+      directionId: r.direction_id === "" || r.direction_id == null ? null : Number(r.direction_id),
+      shapeId: r.shape_id || "",
+    };
+    trips.set(trip.tripId, trip);
+
+    const parsed = parseMtaTripId(trip.tripId);
+    if (!parsed) continue;
+    trip.shape = parsed.shape;
+    const k = tripKey(parsed);
+    let list = tripsByKey.get(k);
+    if (!list) tripsByKey.set(k, (list = []));
+    list.push(trip);
+  }
+
+  // ---------- transfers ----------
+  // from_stop_id -> [{ to, minTransferTime }]; from == to is the time to change trains within a station
+  const transfers = new Map();
+  for (const r of readCsv(dirs, "transfers.txt")) {
+    if (!r.from_stop_id || !r.to_stop_id) continue;
+    let list = transfers.get(r.from_stop_id);
+    if (!list) transfers.set(r.from_stop_id, (list = []));
+    list.push({ to: r.to_stop_id, minTransferTime: Number(r.min_transfer_time) || 0 });
+  }
+
+  // ---------- calendar ----------
+  const calendar = readCsv(dirs, "calendar.txt");
+  // date -> { added: Set, removed: Set }
+  const calendarDates = new Map();
+  for (const r of readCsv(dirs, "calendar_dates.txt")) {
+    if (!r.service_id || !r.date) continue;
+    let e = calendarDates.get(r.date);
+    if (!e) calendarDates.set(r.date, (e = { added: new Set(), removed: new Set() }));
+    if (r.exception_type === "1") e.added.add(r.service_id);
+    if (r.exception_type === "2") e.removed.add(r.service_id);
+  }
+
+  // ---------- feed validity ----------
+  // feed_info.txt dates win when present; otherwise the span of calendar.txt plus added calendar_dates
+  const calendarDays = [
+    ...calendar.flatMap((c) => [c.start_date, c.end_date]),
+    ...Array.from(calendarDates.entries()).filter(([, e]) => e.added.size).map(([d]) => d),
+  ]
+    .filter((d) => /^\d{8}$/.test(d || ""))
+    .sort();
+  const info = readCsv(dirs, "feed_info.txt")[0] || {};
+  const calendarStart = calendarDays[0] || null;
+  const calendarEnd = calendarDays[calendarDays.length - 1] || null;
+  const feedInfo = {
+    feedVersion: info.feed_version || null,
+    publisher: info.feed_publisher_name || null,
+    start: info.feed_start_date || calendarStart,
+    end: info.feed_end_date || calendarEnd,
+    source: info.feed_start_date || info.feed_end_date ? "feed_info" : "calendar",
+    calendarStart,
+    calendarEnd,
+  };
+
+  // ---------- agency ----------
+  // Service days are defined in the agency's timezone, not the server's
+  const timezone = readCsv(dirs, "agency.txt")[0]?.agency_timezone || "America/New_York";
+
+  // service_ids running on a date ("YYYYMMDD" or Date), with calendar_dates exceptions applied
+  function activeServiceIds(date = new Date()) {
+    const dateStr = date instanceof Date ? serviceDateOf(date, timezone) : String(date);
+    const utc = new Date(Date.UTC(Number(dateStr.slice(0, 4)), Number(dateStr.slice(4, 6)) - 1, Number(dateStr.slice(6, 8))));
+    const day = WEEKDAYS[utc.getUTCDay()];
+
+    const active = new Set();
+    for (const c of calendar) {
+      if (c[day] !== "1") continue;
+      if (c.start_date && dateStr < c.start_date) continue;
+      if (c.end_date && dateStr > c.end_date) continue;
+      active.add(c.service_id);
+    }
+
+    const ex = calendarDates.get(dateStr);
+    if (ex) {
+      for (const s of ex.removed) active.delete(s);
+      for (const s of ex.added) active.add(s);
+    }
+    return active;
+  }
+
+  // ---------- realtime -> static join ----------
+  // Realtime ids are partial matches of static ones, and the same id can exist under several
+  // service_ids (Weekday/Saturday/Sunday), so narrow by shape and the trip's start date.
+  // Without a static trip of the same shape the match is only good for direction and service:
+  // a branching line (A to Far Rockaway vs Lefferts Blvd) would show the wrong terminal, so the
+  // returned copy has the direction label as its headsign and shapeMatch: false.
+  function matchTrip({ tripId, startDate } = {}) {
+    if (!tripId) return null;
+    if (trips.has(tripId)) return trips.get(tripId);
+
+    const parsed = parseMtaTripId(tripId);
+    if (!parsed) return null;
+
+    let candidates = tripsByKey.get(tripKey(parsed)) || [];
+    if (!candidates.length) return null;
+
+    let shapeMatch = true;
+    if (parsed.shape) {
+      const sameShape = candidates.filter((t) => t.shape === parsed.shape);
+      if (sameShape.length) candidates = sameShape;
+      else shapeMatch = false;
+    }
+
+    if (candidates.length > 1) {
+      const active = activeServiceIds(startDate || new Date());
+      const running = candidates.filter((t) => active.has(t.serviceId));
+      if (running.length) candidates = running;
+    }
+
+    const trip = candidates[0];
+    return shapeMatch ? trip : { ...trip, headsign: DIRECTION_LABELS[parsed.dir] || "", shapeMatch: false };
+  }
+
+  function stopName(stopId) {
+    return stops.get(String(stopId))?.name || null;
+  }
+
+  // Parent station id -> its child platforms; a platform id maps to itself; unknown ids -> []
+  function platformsFor(id) {
+    id = String(id);
+    if (platformsByStation.has(id)) return platformsByStation.get(id).slice();
+    return stops.has(id) ? [id] : [];
+  }
+
+  return {
+    timezone,
+    feedInfo,
+    stops,
+    routes,
+    trips,
+    transfers,
+    activeServiceIds,
+    matchTrip,
+    stopName,
+    platformsFor,
+  };
+}
@@ -0,0 +1,115 @@
+// station-search.js
+// Fuzzy station-name search for the typeahead: normalizes street-name abbreviations and ordinals
+// ("42nd Street" == "42 St", "Av" == "Avenue"), splits hyphenated names, and tolerates typos.
+//
+// Usage:
+//   searchStations(stations, "van cortlandt 242", { lines: ["1"], limit: 10 });
+//   // -> [{ ...station, score }]
+
+// Canonical token for common abbreviations/long forms
+const SYNONYMS = {
+  street: "st", streets: "st", sts: "st", str: "st",
+  avenue: "av", avenues: "av", ave: "av", avs: "av",
+  boulevard: "blvd", blv: "blvd",
+  parkway: "pkwy", pky: "pkwy",
+  square: "sq",
+  road: "rd",
+  place: "pl",
+  heights: "hts", hgts: "hts",
+  center: "ctr", centre: "ctr",
+  junction: "jct",
+  highway: "hwy",
+  plaza: "plz",
+  terminal: "term",
+  east: "e",
+  west: "w",
+  saint: "st",
+  first: "1", second: "2", third: "3", fourth: "4", fifth: "5",
+  sixth: "6", seventh: "7", eighth: "8", ninth: "9", tenth: "10",
+};
+
+export function normalizeTokens(text) {
+  return String(text || "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/['’.]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((t) => t.replace(/^(\d+)(st|nd|rd|th)$/, "$1")) // 42nd -> 42
+    .map((t) => SYNONYMS[t] || t);
+}
+
+function levenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, cur[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// How well one query token matches one name token (0 = no match)
+function tokenScore(q, t) {
+  if (q === t) return 1;
+  if (t.startsWith(q)) return 0.8 - Math.min(0.3, (t.length - q.length) * 0.03); // typeahead prefix
+  if (/^\d+$/.test(q) || /^\d+$/.test(t)) return 0; // 42 must not fuzzy-match 43
+  const max = q.length >= 7 ? 2 : q.length >= 4 ? 1 : 0;
+  if (!max) return 0;
+  const d = levenshtein(q, t, max);
+  return d <= max ? 0.6 - d * 0.1 : 0;
+}
+
+// Run-together input ("vancortlandt"): match against the name with spaces removed
+function compactScore(queryTokens, tokens) {
+  const q = queryTokens.join("");
+  if (q.length < 4) return 0;
+  const name = tokens.join("");
+  if (name.startsWith(q)) return 0.7;
+  if (name.includes(q)) return 0.6;
+  return levenshtein(q, name.slice(0, q.length), 2) <= 2 && q.length >= 7 ? 0.5 : 0;
+}
+
+function nameScore(queryTokens, queryJoined, name) {
+  const tokens = normalizeTokens(name);
+  if (!tokens.length) return 0;
+
+  let total = 0;
+  for (const q of queryTokens) {
+    let best = 0;
+    for (const t of tokens) best = Math.max(best, tokenScore(q, t));
+    if (!best) return compactScore(queryTokens, tokens); // every query token has to match something
+    total += best;
+  }
+
+  let score = total / queryTokens.length;
+  if (tokens.join(" ").startsWith(queryJoined)) score += 0.2;
+  score -= Math.max(0, tokens.length - queryTokens.length) * 0.01; // prefer tighter names
+  return Math.max(score, compactScore(queryTokens, tokens));
+}
+
+export function searchStations(stations, query, { lines = [], limit = 10 } = {}) {
+  const queryTokens = normalizeTokens(query);
+  if (!queryTokens.length) return [];
+  const queryJoined = queryTokens.join(" ");
+  const lineSet = new Set(lines.map((l) => String(l).trim().toUpperCase()).filter(Boolean));
+
+  const results = [];
+  for (const s of stations) {
+    if (lineSet.size && !(s.lines || []).some((l) => lineSet.has(String(l).toUpperCase()))) continue;
+
+    const names = [s.name, s.displayName, ...(s.memberNames || [])].filter(Boolean);
+    const score = Math.max(...names.map((n) => nameScore(queryTokens, queryJoined, n)));
+    if (score > 0) results.push({ ...s, score: Math.round(score * 1000) / 1000 });
+  }
+
+  results.sort((a, b) => b.score - a.score || String(a.displayName || a.name).localeCompare(String(b.displayName || b.name)));
+  return results.slice(0, limit);
+}
@@ -0,0 +1,187 @@
+// API key auth with a fake clock: token buckets, daily quotas, where keys are read from, the
+// 401/429 responses and the usage rows behind /api/admin/usage.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { createApiKeyAuth } from "../api-keys.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "mta-api-keys-test-"));
+const auths = [];
+
+after(() => {
+  for (const a of auths) a.stop();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+let fileCount = 0;
+function setup(config, start = Date.parse("2026-05-10T12:00:00Z")) {
+  const file = path.join(tmp, `keys-${++fileCount}.json`);
+  if (config) fs.writeFileSync(file, JSON.stringify(config));
+  const clock = { t: start };
+  const auth = createApiKeyAuth({ file, watchIntervalMs: 60000, now: () => clock.t });
+  auths.push(auth);
+  return { auth, clock };
+}
+
+function req({ headers = {}, url = "/mta", ip = "10.0.0.1" } = {}) {
+  return { headers, originalUrl: url, ip };
+}
+
+// Minimal Express response: records status, headers, cookies and the body
+function res() {
+  const out = { statusCode: 200, headers: {}, cookies: {}, body: null };
+  out.status = (code) => ((out.statusCode = code), out);
+  out.set = (name, value) => ((out.headers[name] = value), out);
+  out.type = () => out;
+  out.json = (body) => ((out.body = body), out);
+  out.send = (body) => ((out.body = body), out);
+  out.cookie = (name, value) => ((out.cookies[name] = value), out);
+  return out;
+}
+
+const KEYS = {
+  keys: [
+    { key: "lobby-key-1", name: "lobby", ratePerMinute: 60, burst: 3 },
+    { key: "ops-key-123", name: "ops", admin: true, dailyLimit: 2 },
+  ],
+};
+
+test("no keys file: everything is open", () => {
+  const { auth } = setup(null);
+  assert.equal(auth.enabled(), false);
+  assert.deepEqual(auth.check(req()), { ok: true, client: null });
+  assert.match(auth.describe(), /public access/);
+});
+
+test("burst is spent, then refills at ratePerMinute", () => {
+  const { auth, clock } = setup(KEYS);
+  const r = () => auth.check(req({ headers: { "x-api-key": "lobby-key-1" } }));
+  assert.equal(r().remaining, 2);
+  assert.equal(r().remaining, 1);
+  assert.equal(r().remaining, 0);
+
+  const limited = r();
+  assert.equal(limited.ok, false);
+  assert.equal(limited.status, 429);
+  assert.equal(limited.error, "Rate limit exceeded");
+  assert.equal(limited.retryAfter, 1); // 60/min -> one token per second
+
+  clock.t += 1000;
+  assert.equal(r().ok, true);
+  assert.equal(r().ok, false);
+
+  // Never refills past the burst
+  clock.t += 10 * 60000;
+  for (let i = 0; i < 3; i++) assert.equal(r().ok, true);
+  assert.equal(r().ok, false);
+});
+
+test("dailyLimit caps requests until the next UTC day", () => {
+  const { auth, clock } = setup(KEYS, Date.parse("2026-05-10T23:59:00Z"));
+  const r = () => auth.check(req({ headers: { "x-api-key": "ops-key-123" } }));
+  assert.equal(r().ok, true);
+  assert.equal(r().ok, true);
+  const over = r();
+  assert.equal(over.status, 429);
+  assert.equal(over.error, "Daily quota exceeded");
+  assert.equal(over.retryAfter, 60);
+
+  clock.t += 60000;
+  assert.equal(r().ok, true);
+});
+
+test("keys are read from x-api-key, Bearer, ?apiKey= and the cookie", () => {
+  const { auth } = setup(KEYS);
+  const name = (r) => (r.ok ? r.client?.name : r.status);
+  assert.equal(name(auth.check(req({ headers: { "x-api-key": "lobby-key-1" } }))), "lobby");
+  assert.equal(name(auth.check(req({ headers: { authorization: "Bearer ops-key-123" } }))), "ops");
+  assert.equal(name(auth.check(req({ url: "/mta/stream?stopId=127&apiKey=ops-key-123" }))), "ops");
+  assert.equal(name(auth.check(req({ headers: { cookie: "a=1; mta_api_key=lobby-key-1" } }))), "lobby");
+  // Header wins over the query string
+  const both = auth.check(req({ headers: { "x-api-key": "lobby-key-1" }, url: "/mta?apiKey=ops-key-123" }));
+  assert.equal(name(both), "lobby");
+  assert.equal(both.fromQuery, false);
+});
+
+test("unknown or missing keys are rejected when anonymous access is off", () => {
+  const { auth } = setup(KEYS);
+  assert.deepEqual(
+    [auth.check(req({ headers: { "x-api-key": "nope" } })).status, auth.check(req()).status],
+    [401, 401]
+  );
+  assert.match(auth.check(req()).error, /API key required/);
+  assert.match(auth.describe(), /2 key\(s\) configured, anonymous access off/);
+});
+
+test("anonymous clients get a bucket per IP; a stale cookie falls back to it", () => {
+  const { auth } = setup({ ...KEYS, anonymous: { ratePerMinute: 60, burst: 1 } });
+  assert.equal(auth.check(req({ ip: "10.0.0.1" })).ok, true);
+  assert.equal(auth.check(req({ ip: "10.0.0.1" })).status, 429);
+  assert.equal(auth.check(req({ ip: "10.0.0.2" })).ok, true);
+  // Revoked key left in the cookie: keyless access, not a 401
+  assert.equal(auth.check(req({ ip: "10.0.0.3", headers: { cookie: "mta_api_key=revoked" } })).ok, true);
+  // ...but a wrong key sent on purpose is still an error
+  assert.equal(auth.check(req({ ip: "10.0.0.4", headers: { "x-api-key": "revoked" } })).status, 401);
+});
+
+test("middleware answers 429 with Retry-After and a JSON error", () => {
+  const { auth } = setup(KEYS);
+  const mw = auth.middleware();
+  const headers = { "x-api-key": "lobby-key-1" };
+  let passed = 0;
+  for (let i = 0; i < 3; i++) {
+    const r = res();
+    mw(req({ headers }), r, () => passed++);
+    assert.equal(r.headers["X-RateLimit-Remaining"], String(2 - i));
+  }
+  assert.equal(passed, 3);
+
+  const r = res();
+  mw(req({ headers }), r, () => passed++);
+  assert.equal(passed, 3);
+  assert.equal(r.statusCode, 429);
+  assert.equal(r.headers["Retry-After"], "1");
+  assert.deepEqual(r.body, { error: "Rate limit exceeded", retryAfterSeconds: 1 });
+});
+
+test("middleware stores a ?apiKey= key in a cookie and sets req.apiClient", () => {
+  const { auth } = setup(KEYS);
+  const request = req({ url: "/?apiKey=ops-key-123" });
+  const r = res();
+  let nextCalled = false;
+  auth.middleware({ html: true })(request, r, () => (nextCalled = true));
+  assert.equal(nextCalled, true);
+  assert.equal(request.apiClient.name, "ops");
+  assert.equal(request.apiClient.admin, true);
+  assert.deepEqual(r.cookies, { mta_api_key: "ops-key-123" });
+});
+
+test("usage() reports per-key counters with masked keys", () => {
+  const { auth, clock } = setup({ ...KEYS, anonymous: { ratePerMinute: 30, burst: 5 } });
+  for (let i = 0; i < 4; i++) auth.check(req({ headers: { "x-api-key": "lobby-key-1" } }));
+  auth.check(req({ ip: "10.0.0.9" }));
+  clock.t += 500;
+
+  const rows = auth.usage();
+  const lobby = rows.find((r) => r.name === "lobby");
+  assert.equal(lobby.key, "lobb…y-1");
+  assert.equal(lobby.requests, 4);
+  assert.equal(lobby.limited, 1);
+  assert.equal(lobby.requestsToday, 3);
+  assert.equal(lobby.tokensAvailable, 0);
+  assert.equal(lobby.lastRequestAt, "2026-05-10T12:00:00.000Z");
+
+  const ops = rows.find((r) => r.name === "ops");
+  assert.equal(ops.admin, true);
+  assert.equal(ops.requests, 0);
+  assert.equal(ops.dailyLimit, 2);
+
+  const anon = rows.find((r) => r.name === "anonymous");
+  assert.equal(anon.key, null);
+  assert.equal(anon.clients, 1);
+  assert.equal(anon.requests, 1);
+  assert.ok(!rows.some((r) => JSON.stringify(r).includes("lobby-key-1")));
+});
@@ -0,0 +1,107 @@
+// /mta/ws against a fake feed cache and payload builder: heartbeats and the order of updates.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import WebSocket from "ws";
+import { attachDeparturesSocket } from "../departures-socket.js";
+
+// feedCache stand-in: notify(url) plays a feed refresh
+function fakeFeedCache() {
+  const listeners = new Set();
+  return {
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    notify(url) {
+      for (const fn of listeners) fn(url, {});
+    },
+  };
+}
+
+async function start({ buildPayload, pingIntervalMs = 30000 }) {
+  const server = http.createServer();
+  const feedCache = fakeFeedCache();
+  const wss = attachDeparturesSocket(server, {
+    feedCache,
+    pickFeedUrls: () => ["feed-a", "feed-b"],
+    buildPayload,
+    pingIntervalMs,
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const ws = new WebSocket(`ws://127.0.0.1:${server.address().port}/mta/ws`);
+  const messages = [];
+  const waiters = [];
+  ws.on("message", (raw) => {
+    messages.push(JSON.parse(String(raw)));
+    for (const w of waiters.splice(0)) w();
+  });
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+
+  // Resolves once a message matching pred has arrived
+  const next = async (pred) => {
+    for (;;) {
+      const hit = messages.find(pred);
+      if (hit) return hit;
+      await new Promise((resolve) => waiters.push(resolve));
+    }
+  };
+  const close = async () => {
+    ws.terminate();
+    wss.close();
+    await new Promise((resolve) => server.close(resolve));
+  };
+  return { ws, messages, next, feedCache, close };
+}
+
+const dep = (tripId, etaMinutes) => ({ tripId, stopId: "127N", routeId: "1", timestamp: etaMinutes * 60, etaMinutes });
+const payload = (departures) => ({ body: { departures, degraded: false, feeds: [] } });
+
+test("sends app-level heartbeats while departures stay unchanged", async () => {
+  const s = await start({ buildPayload: async () => payload([dep("t1", 5)]), pingIntervalMs: 40 });
+  try {
+    s.ws.send(JSON.stringify({ type: "subscribe", id: "quiet", stopIds: ["127N"] }));
+    await s.next((m) => m.type === "snapshot");
+    s.feedCache.notify("feed-a"); // same departures: no diff
+    const hb = await s.next((m) => m.type === "heartbeat");
+    assert.ok(!Number.isNaN(Date.parse(hb.at)));
+    assert.ok(!s.messages.some((m) => m.type === "diff"));
+  } finally {
+    await s.close();
+  }
+});
+
+test("overlapping feed refreshes never send a diff that goes backwards", async () => {
+  // Each build returns the data as of when it started; the first refresh's build is the slow one
+  let eta = 5;
+  let calls = 0;
+  const buildPayload = async () => {
+    const departures = [dep("t1", eta)];
+    const delay = ++calls === 2 ? 80 : 0;
+    await new Promise((resolve) => setTimeout(resolve, delay));
+    return payload(departures);
+  };
+  const s = await start({ buildPayload });
+  try {
+    s.ws.send(JSON.stringify({ type: "subscribe", id: "busy", stopIds: ["127N"] }));
+    await s.next((m) => m.type === "snapshot");
+
+    eta = 4;
+    s.feedCache.notify("feed-a"); // slow build, sees eta 4
+    eta = 3;
+    s.feedCache.notify("feed-b"); // sees eta 3; must not be overtaken by the slow one
+    s.feedCache.notify("feed-a"); // coalesces with the previous rerun
+
+    await s.next((m) => m.type === "diff" && m.changed[0]?.etaMinutes === 3);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    const etas = s.messages.filter((m) => m.type === "diff").map((m) => m.changed[0].etaMinutes);
+    assert.deepEqual(etas, [4, 3]);
+    assert.equal(calls, 3);
+  } finally {
+    await s.close();
+  }
+});
@@ -0,0 +1,118 @@
+// Feed fetcher against a local stub HTTP server: timeouts, retries, and the circuit breaker.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { createFeedFetcher } from "../feed-fetch.js";
+
+// path -> array of responses served in order (the last one repeats): { status, body, delayMs, destroy }
+const scripts = new Map();
+const hits = new Map();
+let server;
+let base;
+
+function script(name, ...responses) {
+  scripts.set("/" + name, responses);
+  hits.set("/" + name, 0);
+  return `${base}/${name}`;
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const list = scripts.get(req.url) || [{ status: 404 }];
+    const n = hits.get(req.url) || 0;
+    hits.set(req.url, n + 1);
+    const r = list[Math.min(n, list.length - 1)];
+    if (r.destroy) return req.socket.destroy();
+    const send = () => {
+      res.statusCode = r.status || 200;
+      res.end(r.body ?? "");
+    };
+    if (r.delayMs) setTimeout(send, r.delayMs);
+    else send();
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+const fast = { backoffBaseMs: 1, backoffMaxMs: 5 };
+
+test("returns the body as bytes", async () => {
+  const url = script("ok", { body: "abc" });
+  const buf = await createFeedFetcher(fast).fetchBuffer(url);
+  assert.ok(buf instanceof Uint8Array);
+  assert.equal(Buffer.from(buf).toString(), "abc");
+});
+
+test("aborts a slow request after timeoutMs", async () => {
+  const url = script("slow", { delayMs: 500, body: "late" });
+  const fetcher = createFeedFetcher({ ...fast, timeoutMs: 50, retries: 0 });
+  await assert.rejects(fetcher.fetchBuffer(url), /timeout after 50ms/);
+});
+
+test("retries 5xx with backoff and succeeds", async () => {
+  const url = script("flaky", { status: 503 }, { status: 500 }, { body: "ok" });
+  const buf = await createFeedFetcher({ ...fast, retries: 2 }).fetchBuffer(url);
+  assert.equal(Buffer.from(buf).toString(), "ok");
+  assert.equal(hits.get("/flaky"), 3);
+});
+
+test("retries network errors", async () => {
+  const url = script("reset", { destroy: true }, { body: "ok" });
+  const buf = await createFeedFetcher({ ...fast, retries: 1 }).fetchBuffer(url);
+  assert.equal(Buffer.from(buf).toString(), "ok");
+  assert.equal(hits.get("/reset"), 2);
+});
+
+test("does not retry 4xx", async () => {
+  const url = script("forbidden", { status: 403 });
+  await assert.rejects(createFeedFetcher({ ...fast, retries: 3 }).fetchBuffer(url), /403/);
+  assert.equal(hits.get("/forbidden"), 1);
+});
+
+test("gives up after retries + 1 attempts", async () => {
+  const url = script("down", { status: 502 });
+  await assert.rejects(createFeedFetcher({ ...fast, retries: 2 }).fetchBuffer(url), /502/);
+  assert.equal(hits.get("/down"), 3);
+});
+
+test("breaker opens after the threshold, half-opens after the cooldown, closes on success", async () => {
+  const url = script("breaker", { status: 500 }, { status: 500 }, { body: "ok" });
+  const fetcher = createFeedFetcher({ ...fast, retries: 0, breakerThreshold: 2, breakerCooldownMs: 50 });
+  const state = () => fetcher.breakerState().find((b) => b.url === url);
+
+  await assert.rejects(fetcher.fetchBuffer(url), /500/);
+  assert.equal(state().state, "closed");
+  await assert.rejects(fetcher.fetchBuffer(url), /500/);
+  assert.equal(state().state, "open");
+
+  // Open: fails fast without reaching the server
+  await assert.rejects(fetcher.fetchBuffer(url), /Circuit open/);
+  assert.equal(hits.get("/breaker"), 2);
+
+  await new Promise((resolve) => setTimeout(resolve, 60));
+  assert.equal(state().state, "half-open");
+
+  const buf = await fetcher.fetchBuffer(url);
+  assert.equal(Buffer.from(buf).toString(), "ok");
+  assert.equal(state().state, "closed");
+  assert.equal(state().failures, 0);
+});
+
+test("a failed half-open trial reopens the breaker", async () => {
+  const url = script("reopen", { status: 500 });
+  const fetcher = createFeedFetcher({ ...fast, retries: 2, breakerThreshold: 1, breakerCooldownMs: 30 });
+  await assert.rejects(fetcher.fetchBuffer(url));
+  assert.equal(hits.get("/reopen"), 3);
+
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  // Half-open gets a single try, no retries
+  await assert.rejects(fetcher.fetchBuffer(url), /500/);
+  assert.equal(hits.get("/reopen"), 4);
+  assert.equal(fetcher.breakerState().find((b) => b.url === url).state, "open");
+});
@@ -0,0 +1,71 @@
+// GTFS validation against a copy of test/fixtures/gtfs-mini, with errors injected per test.
+// The fixture only runs weekdays, so every weekend shows up as a calendar_gap warning.
+
+import { test, after } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { validateGtfs } from "../gtfs-validate.js";
+
+const fixture = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/gtfs-mini");
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "mta-validate-test-"));
+
+after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Copy of the fixture; edit(file, text) returns the new contents
+let copies = 0;
+function feed(edits = {}) {
+  const dir = path.join(tmp, `feed-${++copies}`);
+  fs.cpSync(fixture, dir, { recursive: true });
+  for (const [name, edit] of Object.entries(edits)) {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, edit(fs.readFileSync(file, "utf8")));
+  }
+  return [dir];
+}
+
+const issue = (report, code) => report.issues.find((i) => i.code === code);
+
+test("the fixture feed has no errors", async () => {
+  const report = await validateGtfs({ dirs: feed(), today: "20260302" });
+  assert.equal(report.ok, true);
+  assert.equal(report.summary.errors, 0);
+  assert.deepEqual([...new Set(report.issues.map((i) => i.code))], ["calendar_gap"]);
+  assert.deepEqual(issue(report, "calendar_gap").examples.find((g) => g.days === 3), { from: "20260214", to: "20260216", days: 3 });
+  assert.deepEqual(
+    { start: report.calendar.start, end: report.calendar.end, daysLeft: report.calendar.daysLeft },
+    { start: "20260105", end: "20260515", daysLeft: 74 }
+  );
+});
+
+test("a trip on an unknown route is an error", async () => {
+  const dirs = feed({ "trips.txt": (t) => t.replace("\nA,MINI-Weekday-00_047000_A..S55R", "\nX,MINI-Weekday-00_047000_A..S55R") });
+  const report = await validateGtfs({ dirs, today: "20260302" });
+  assert.equal(report.ok, false);
+  assert.equal(report.summary.errors, 1);
+  const e = issue(report, "trips_unknown_route");
+  assert.equal(e.severity, "error");
+  assert.deepEqual(e.examples, ["MINI-Weekday-00_047000_A..S55R -> X"]);
+});
+
+test("a stop time at an unknown stop is an error", async () => {
+  const dirs = feed({ "stop_times.txt": (t) => t.replace(",127S,", ",999S,") });
+  const report = await validateGtfs({ dirs, today: "20260302" });
+  assert.equal(report.ok, false);
+  assert.deepEqual(issue(report, "stop_times_unknown_stop").examples, ["MINI-Weekday-00_060000_1..S03R -> 999S"]);
+});
+
+test("warns when service is about to end or has ended", async () => {
+  const soon = await validateGtfs({ dirs: feed(), today: "20260510", horizonDays: 14 });
+  assert.equal(soon.ok, true);
+  assert.equal(soon.calendar.daysLeft, 5);
+  assert.match(issue(soon, "calendar_ending_soon").message, /in 5 day\(s\)/);
+
+  const expired = await validateGtfs({ dirs: feed(), today: "20260601" });
+  assert.equal(expired.ok, true);
+  assert.equal(issue(expired, "calendar_expired").severity, "warning");
+  assert.match(issue(expired, "calendar_expired").message, /17 day\(s\) before 20260601/);
+  assert.equal(issue(expired, "calendar_ending_soon"), undefined);
+});
@@ -0,0 +1,144 @@
+// /api/plan end to end, offline: the server reads the checked-in GTFS and replays the recorded
+// realtime feeds in test/fixtures/realtime (FEED_SNAPSHOT_DIR) instead of calling the MTA.
+//
+// nyct-gtfs.pb holds one southbound 1 train (Sunday 2026-05-10) due at Times Sq-42 St (127S) at
+// 12:30 EDT, then 34 St-Penn Station (128S) and 14 St (132S). nyct-gtfs-l.pb holds one eastbound L
+// train reaching 6 Av (L02S, a 3 min walk from 132) 9 min later, then on to 1 Av (L06S). The other
+// feeds are empty.
+
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import fs from "node:fs";
+import net from "node:net";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const T = Date.parse("2026-05-10T16:30:00Z") / 1000;
+
+let server;
+let base;
+let tmp;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+    s.on("error", reject);
+  });
+}
+
+before(async () => {
+  tmp = fs.mkdtempSync(path.join(os.tmpdir(), "mta-plan-test-"));
+  const port = await freePort();
+  base = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, ["index.js"], {
+    cwd: root,
+    env: {
+      ...process.env,
+      PORT: String(port),
+      FEED_SNAPSHOT_DIR: path.join(root, "test/fixtures/realtime"),
+      // Keep local state (published datasets, keys, saved boards) out of the test
+      DATASETS_DIR: path.join(tmp, "datasets"),
+      API_KEYS_FILE: path.join(tmp, "api-keys.json"),
+      BOARDS_FILE: path.join(tmp, "boards.json"),
+      DATASET_WATCH_INTERVAL_MS: "0",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 60000);
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Server listening")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    server.stderr.on("data", (chunk) => (output += chunk));
+    server.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited with ${code}:\n${output}`));
+    });
+  });
+});
+
+after(() => {
+  server?.kill();
+  if (tmp) fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function plan(params) {
+  const r = await fetch(`${base}/api/plan?${new URLSearchParams(params)}`);
+  return { status: r.status, body: await r.json() };
+}
+
+test("plans a ride from the recorded realtime feed", async () => {
+  const { status, body } = await plan({ from: "127", to: "128", departAt: String(T - 120) });
+  assert.equal(status, 200);
+  const [it] = body.itineraries;
+  assert.ok(it, "expected an itinerary");
+  assert.equal(it.departureTime, T + 30);
+  assert.equal(it.arrivalTime, T + 120);
+  assert.equal(it.transfers, 0);
+  assert.equal(it.legs.length, 1);
+  const [ride] = it.legs;
+  assert.equal(ride.type, "ride");
+  assert.equal(ride.routeId, "1");
+  assert.equal(ride.tripId, "071150_1..S03R");
+  assert.equal(ride.from.stationId, "127");
+  assert.equal(ride.to.stationId, "128");
+});
+
+test("no itinerary when no recorded train serves the trip", async () => {
+  const { status, body } = await plan({ from: "128", to: "127", departAt: String(T - 120) });
+  assert.equal(status, 200);
+  assert.deepEqual(body.itineraries, []);
+});
+
+// Regression: a path with no ride leg (another station in the same complex) used to throw
+for (const to of ["725", "A27"]) {
+  test(`walk-only itinerary within the Times Sq complex (127 -> ${to})`, async () => {
+    const departAt = T - 120;
+    const { status, body } = await plan({ from: "127", to, departAt: String(departAt) });
+    assert.equal(status, 200);
+    assert.equal(body.itineraries.length, 1);
+    const [it] = body.itineraries;
+    assert.equal(it.departureTime, departAt);
+    assert.equal(it.transfers, 0);
+    assert.deepEqual(
+      it.legs.map((l) => [l.type, l.from.stationId, l.to.stationId]),
+      [["transfer", "127", to]]
+    );
+    assert.equal(it.arrivalTime, departAt + it.legs[0].minTransferTime);
+  });
+}
+
+test("a trip that needs a change is found with maxTransfers=1, not with 0", async () => {
+  const departAt = String(T - 120);
+  const one = await plan({ from: "127", to: "L06", departAt, maxTransfers: "1" });
+  assert.equal(one.status, 200);
+  const [it] = one.body.itineraries;
+  assert.ok(it, "expected an itinerary");
+  assert.equal(it.transfers, 1);
+  assert.deepEqual(
+    it.legs.map((l) => [l.type, l.routeId ?? null, l.from.stationId, l.to.stationId]),
+    [
+      ["ride", "1", "127", "132"],
+      ["transfer", null, "132", "L02"],
+      ["ride", "L", "L02", "L06"],
+    ]
+  );
+  assert.equal(it.arrivalTime, T + 720);
+
+  // The 1 and the L share no station, so the scan itself has to enforce the limit
+  const zero = await plan({ from: "127", to: "L06", departAt, maxTransfers: "0" });
+  assert.equal(zero.status, 200);
+  assert.deepEqual(zero.body.itineraries, []);
+});
@@ -0,0 +1,44 @@
+// Static schedule lookups against the small GTFS in test/fixtures/gtfs-mini.
+
+import { test, before } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadStaticGtfs } from "../static-gtfs.js";
+import { loadSchedule } from "../schedule.js";
+
+const dir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/gtfs-mini");
+const at = (iso) => Date.parse(iso) / 1000;
+
+let schedule;
+before(async () => {
+  const gtfs = loadStaticGtfs({ dirs: [dir] });
+  schedule = await loadSchedule({ gtfs, dirs: [dir] });
+});
+
+test("loads stop_times.txt", () => {
+  assert.equal(schedule.loaded, true);
+  assert.equal(schedule.size, 8);
+});
+
+test("scheduledTime: departure of a trip at a stop on a service date", () => {
+  const trip = "MINI-Weekday-00_060000_1..S03R";
+  assert.equal(schedule.scheduledTime(trip, "127S", "20260302"), at("2026-03-02T10:40:00-05:00"));
+  assert.equal(schedule.scheduledTime(trip, "101S", "20260302"), at("2026-03-02T10:00:00-05:00"));
+  // After the switch to daylight time
+  assert.equal(schedule.scheduledTime(trip, "127S", "20260309"), at("2026-03-09T10:40:00-04:00"));
+  // departure_time, not arrival_time
+  assert.equal(schedule.scheduledTime("MINI-Weekday-00_047000_A..S55R", "A27S", "20260302"), at("2026-03-02T08:16:00-05:00"));
+});
+
+test("scheduledTime: null for a stop the trip doesn't make or an unknown trip", () => {
+  assert.equal(schedule.scheduledTime("MINI-Weekday-00_060000_1..S03R", "A27S", "20260302"), null);
+  assert.equal(schedule.scheduledTime("nope", "127S", "20260302"), null);
+});
+
+test("nextDepartures skips days the service doesn't run", () => {
+  const deps = (iso) => schedule.nextDepartures(["127S"], { now: Date.parse(iso) }).map((d) => d.tripId);
+  assert.deepEqual(deps("2026-03-02T10:00:00-05:00"), ["MINI-Weekday-00_060000_1..S03R"]);
+  assert.deepEqual(deps("2026-03-07T10:00:00-05:00"), []); // Saturday
+  assert.deepEqual(deps("2026-02-16T10:00:00-05:00"), []); // removed in calendar_dates.txt
+});
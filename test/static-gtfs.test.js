@@ -0,0 +1,35 @@
+// Joining realtime trip ids to the static trips in test/fixtures/gtfs-mini.
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadStaticGtfs } from "../static-gtfs.js";
+
+const dir = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures/gtfs-mini");
+const gtfs = loadStaticGtfs({ dirs: [dir] });
+
+test("matchTrip: a realtime id joins the static trip with the same shape", () => {
+  const trip = gtfs.matchTrip({ tripId: "047000_A..S55R", startDate: "20260302" });
+  assert.equal(trip.tripId, "MINI-Weekday-00_047000_A..S55R");
+  assert.equal(trip.headsign, "Far Rockaway-Mott Av");
+  assert.equal(trip.shapeMatch, undefined);
+  assert.equal(gtfs.matchTrip({ tripId: "MINI-Weekday-00_060000_1..S03R" }).headsign, "Times Sq-42 St");
+});
+
+test("matchTrip: another branch's trip lends its direction but not its headsign", () => {
+  // The only static 05:00 southbound A runs to Lefferts Blvd (S82R); this one is a Far Rockaway (S55R)
+  const trip = gtfs.matchTrip({ tripId: "050000_A..S55R", startDate: "20260302" });
+  assert.equal(trip.tripId, "MINI-Weekday-00_050000_A..S82R");
+  assert.equal(trip.shapeMatch, false);
+  assert.equal(trip.headsign, "Downtown");
+  assert.equal(trip.directionId, 1);
+  // The loaded trip itself is untouched
+  assert.equal(gtfs.trips.get("MINI-Weekday-00_050000_A..S82R").headsign, "Ozone Park-Lefferts Blvd");
+});
+
+test("matchTrip: null for ids with no static trip", () => {
+  assert.equal(gtfs.matchTrip({ tripId: "090000_A..S55R" }), null);
+  assert.equal(gtfs.matchTrip({ tripId: "not a trip id" }), null);
+  assert.equal(gtfs.matchTrip({}), null);
+});
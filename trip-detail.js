@@ -0,0 +1,71 @@
+// trip-detail.js
+// Full stop list for one realtime trip: every stopTimeUpdate with station names, predictions,
+// track (NYCT extension) and whether the train has already passed it.
+//
+// Usage:
+//   const trip = findTripDetail(feeds, "000600_1..S03R", { gtfs, delayFor });
+//   // -> { tripId, routeId, headsign, direction, stops: [{ stopId, stopName, arrival, departure, passed, ... }] }
+
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import { tripDirection } from "./static-gtfs.js";
+import { stopTrack, tripTrain } from "./nyct-realtime.js";
+import { toNum } from "./numbers.js";
+
+const { VehicleStopStatus } = GtfsRealtimeBindings.transit_realtime.VehiclePosition;
+
+// delayFor(staticTrip, stopId, time, startDate) -> { scheduledTime, delaySeconds }
+export function findTripDetail(feeds, tripId, { gtfs, delayFor = () => ({}), now = Date.now() } = {}) {
+  const nowSec = Math.floor(now / 1000);
+
+  for (const feed of feeds) {
+    const entities = feed.entity || [];
+    const tu = entities.find((e) => e.tripUpdate?.trip?.tripId === tripId)?.tripUpdate;
+    if (!tu) continue;
+
+    const vehicle = entities.find((e) => e.vehicle?.trip?.tripId === tripId)?.vehicle || null;
+    const startDate = tu.trip.startDate || null;
+    const staticTrip = gtfs.matchTrip({ tripId, startDate });
+    const stus = tu.stopTimeUpdate || [];
+    const lastStopId = stus.length ? stus[stus.length - 1].stopId : null;
+
+    const stops = stus.map((stu, i) => {
+      const arrival = toNum(stu.arrival?.time);
+      const departure = toNum(stu.departure?.time);
+      const t = departure ?? arrival;
+      return {
+        sequence: stu.stopSequence || i + 1,
+        stopId: stu.stopId,
+        stopName: gtfs.stopName(stu.stopId),
+        arrival,
+        departure,
+        etaMinutes: t ? Math.round((t - nowSec) / 60) : null,
+        passed: t != null && t < nowSec,
+        ...stopTrack(stu),
+        ...(t ? delayFor(staticTrip, stu.stopId, t, startDate) : {}),
+      };
+    });
+
+    return {
+      tripId,
+      routeId: String(tu.trip.routeId || "").toUpperCase(),
+      startDate,
+      staticTripId: staticTrip?.tripId || null,
+      headsign: staticTrip?.headsign || (lastStopId ? gtfs.stopName(lastStopId) : null),
+      direction: tripDirection(staticTrip, tripId, stus[0]?.stopId),
+      ...tripTrain(tu.trip),
+      destinationStopId: lastStopId,
+      destination: lastStopId ? gtfs.stopName(lastStopId) : null,
+      vehicle: vehicle
+        ? {
+            stopId: vehicle.stopId || null,
+            stopName: vehicle.stopId ? gtfs.stopName(vehicle.stopId) : null,
+            status: VehicleStopStatus[vehicle.currentStatus ?? VehicleStopStatus.IN_TRANSIT_TO] || null,
+            timestamp: toNum(vehicle.timestamp),
+          }
+        : null,
+      stops,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,78 @@
+// vehicles.js
+// Live train positions from GTFS-realtime VehiclePosition entities, resolved against static stops.
+//
+// Usage:
+//   const trains = extractVehicles(feeds, { lines: ["A"], gtfs: staticGtfs });
+//   res.json(vehiclesToGeoJson(trains));
+
+import GtfsRealtimeBindings from "gtfs-realtime-bindings";
+import { tripDirection } from "./static-gtfs.js";
+import { toNum } from "./numbers.js";
+
+const { VehicleStopStatus } = GtfsRealtimeBindings.transit_realtime.VehiclePosition;
+
+export function extractVehicles(feeds, { lines = [], gtfs } = {}) {
+  const allowSet = new Set(lines.map((l) => String(l).trim().toUpperCase()).filter(Boolean));
+  const trains = [];
+  const seen = new Set(); // tripId, deduped across feeds
+
+  for (const feed of feeds) {
+    // MTA vehicle entities sometimes omit stopId; fall back to the trip's next stop from its tripUpdate
+    const nextStopByTrip = new Map();
+    for (const entity of feed.entity || []) {
+      const tu = entity.tripUpdate;
+      const first = tu?.stopTimeUpdate?.[0];
+      if (tu?.trip?.tripId && first?.stopId) nextStopByTrip.set(tu.trip.tripId, first.stopId);
+    }
+
+    for (const entity of feed.entity || []) {
+      const v = entity.vehicle;
+      if (!v?.trip) continue;
+
+      const routeId = String(v.trip.routeId || "").trim().toUpperCase();
+      if (allowSet.size && !allowSet.has(routeId)) continue;
+
+      const tripId = v.trip.tripId || "";
+      if (tripId && seen.has(tripId)) continue;
+      if (tripId) seen.add(tripId);
+
+      const stopId = v.stopId || nextStopByTrip.get(tripId) || null;
+      const stop = stopId ? gtfs?.stops.get(stopId) : null;
+      const staticTrip = gtfs?.matchTrip({ tripId, startDate: v.trip.startDate }) || null;
+
+      // No explicit status means the train is in transit to stopId (GTFS-rt default)
+      const statusCode = v.currentStatus ?? VehicleStopStatus.IN_TRANSIT_TO;
+
+      trains.push({
+        tripId,
+        routeId,
+        direction: tripDirection(staticTrip, tripId, stopId),
+        headsign: staticTrip?.headsign || null,
+        status: VehicleStopStatus[statusCode] || String(statusCode),
+        stopId,
+        stopName: stop?.name || null,
+        lat: stop?.lat ?? null,
+        lon: stop?.lon ?? null,
+        currentStopSequence: v.currentStopSequence || null,
+        timestamp: toNum(v.timestamp),
+      });
+    }
+  }
+
+  trains.sort((a, b) => a.routeId.localeCompare(b.routeId, undefined, { numeric: true }) || (a.tripId < b.tripId ? -1 : 1));
+  return trains;
+}
+
+// FeatureCollection of Points; trains without a resolvable stop have no geometry and are skipped
+export function vehiclesToGeoJson(trains) {
+  return {
+    type: "FeatureCollection",
+    features: trains
+      .filter((t) => t.lat != null && t.lon != null)
+      .map(({ lat, lon, ...props }) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [lon, lat] },
+        properties: props,
+      })),
+  };
+}